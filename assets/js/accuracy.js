@@ -0,0 +1,327 @@
+/**
+ * @file accuracy.js
+ * @description Logic for the forecast accuracy page. Loads every report for a city,
+ * then shows MAE, bias and MAPE by segment and lead time, forecast-vs-actual
+ * occupancy and how a stay date's projection drifted across reports.
+ */
+
+// Value of the city filter that loads every city
+const ALL_CITIES = 'all';
+
+// --- STATE MANAGEMENT ---
+const accuracyState = {
+    cities: [],
+    city: ALL_CITIES,
+    segment: 'Totals',
+    leadTime: AppConstants.ACCURACY.LEAD_TIMES[0],
+    stayDate: null,
+    rowsByCity: {},
+};
+let accuracyRequestId = 0;
+
+// --- INITIALIZATION ---
+document.addEventListener('DOMContentLoaded', async () => {
+    // Redirect to login if no session exists.
+    const supabaseClient = window.SupabaseConfig.getClient();
+    if (!supabaseClient) {
+        window.location.replace(window.AppConstants.ROUTES.LOGIN);
+        return;
+    }
+
+    const { data: { session } } = await supabaseClient.auth.getSession();
+    if (!session) {
+        window.location.replace(window.AppConstants.ROUTES.LOGIN);
+        return;
+    }
+
+    if (!initializePage('accuracy')) return;
+
+    document.getElementById('drift-stay-date').addEventListener('change', (e) => {
+        accuracyState.stayDate = e.target.value;
+        renderDriftChart();
+    });
+
+    await loadCities();
+});
+
+// --- DATA LOADING ---
+
+/**
+ * Fetches the reported cities, renders the filters and loads the first selection.
+ */
+async function loadCities() {
+    try {
+        const { data, error } = await window.SupabaseConfig.getClient().rpc('get_distinct_reports');
+        if (error) throw error;
+
+        const cities = data?.cities || [];
+        accuracyState.cities = [...AppConstants.CITIES.filter(c => cities.includes(c)), ...cities.filter(c => !AppConstants.CITIES.includes(c))];
+        accuracyState.city = accuracyState.cities.length === 1 ? accuracyState.cities[0] : ALL_CITIES;
+
+        renderFilters();
+        await loadAccuracy();
+    } catch (error) {
+        renderLoadError(error, loadCities);
+    }
+}
+
+/**
+ * Loads the reports for the selected city (or every city), reusing cities
+ * already loaded, and renders the page.
+ */
+async function loadAccuracy() {
+    const cities = accuracyState.city === ALL_CITIES ? accuracyState.cities : [accuracyState.city];
+    const missing = cities.filter(city => !accuracyState.rowsByCity[city]);
+
+    if (missing.length > 0) {
+        const requestId = ++accuracyRequestId;
+        renderSkeletonState();
+        try {
+            // One city at a time: a city's full report history can be large
+            for (const city of missing) {
+                accuracyState.rowsByCity[city] = await ReportHistory.load(city);
+            }
+        } catch (error) {
+            if (requestId === accuracyRequestId) renderLoadError(error, loadAccuracy);
+            return;
+        }
+        if (requestId !== accuracyRequestId) return;
+    }
+
+    renderAccuracy();
+}
+
+/**
+ * The loaded rows for the selected city, or every city.
+ */
+function getSelectedRows() {
+    if (accuracyState.city !== ALL_CITIES) return accuracyState.rowsByCity[accuracyState.city] || [];
+    return accuracyState.cities.flatMap(city => accuracyState.rowsByCity[city] || []);
+}
+
+// --- UI RENDERING ---
+
+/**
+ * Renders the city, segment and lead time filters.
+ */
+function renderFilters() {
+    const container = document.getElementById('accuracy-filter-container');
+    container.innerHTML = `
+        <div class="filter-group">
+            <select id="accuracy-city" class="form-select" title="City">
+                <option value="${ALL_CITIES}">All Cities</option>
+                ${accuracyState.cities.map(c => `<option value="${c}">${c}</option>`).join('')}
+            </select>
+            <select id="accuracy-segment" class="form-select" title="Market segment">
+                ${AppConstants.MARKET_SEGMENTS.map(s => `<option value="${s}">${EnhancedDashboardComponents.getSegmentLabel(s)}</option>`).join('')}
+            </select>
+        </div>
+        <div class="filter-presets" role="group" aria-label="Lead time">
+            ${AppConstants.ACCURACY.LEAD_TIMES.map(days => `
+                <button class="preset-btn" data-lead-time="${days}">${days} days out</button>
+            `).join('')}
+        </div>
+    `;
+
+    const citySelect = document.getElementById('accuracy-city');
+    const segmentSelect = document.getElementById('accuracy-segment');
+    citySelect.value = accuracyState.city;
+    segmentSelect.value = accuracyState.segment;
+    updateLeadTimeButtons();
+
+    citySelect.addEventListener('change', () => {
+        accuracyState.city = citySelect.value;
+        accuracyState.stayDate = null;
+        loadAccuracy();
+    });
+    segmentSelect.addEventListener('change', () => {
+        accuracyState.segment = segmentSelect.value;
+        accuracyState.stayDate = null;
+        renderAccuracy();
+    });
+    container.querySelectorAll('[data-lead-time]').forEach(button => {
+        button.addEventListener('click', () => {
+            accuracyState.leadTime = Number(button.dataset.leadTime);
+            updateLeadTimeButtons();
+            renderAccuracy();
+        });
+    });
+}
+
+function updateLeadTimeButtons() {
+    document.querySelectorAll('[data-lead-time]').forEach(button => {
+        button.classList.toggle('active', Number(button.dataset.leadTime) === accuracyState.leadTime);
+    });
+}
+
+/**
+ * Renders the KPI cards, charts and table for the current filters.
+ */
+async function renderAccuracy() {
+    const rows = getSelectedRows();
+    const pairs = ForecastAccuracy.pairForecasts(rows, accuracyState.leadTime)
+        .filter(pair => pair.segment === accuracyState.segment);
+
+    renderAccuracyMetrics(pairs);
+    renderAccuracyTable(ForecastAccuracy.getAccuracyTable(rows));
+
+    if (accuracyState.city === ALL_CITIES) {
+        renderChartMessage('forecast-vs-actual-chart', 'Pick a city to compare its forecasts with actual occupancy.');
+        renderDriftChart();
+        return;
+    }
+
+    if (pairs.length === 0) {
+        renderChartMessage('forecast-vs-actual-chart', `No stay dates have both a ${accuracyState.leadTime}-day forecast and an actual yet.`);
+    } else {
+        await EnhancedDashboardComponents.createForecastVsActualChart('forecast-vs-actual-chart', pairs, accuracyState.leadTime);
+    }
+    await renderDriftChart();
+}
+
+/**
+ * Renders the MAE, bias, MAPE and sample size cards for the selected lead time.
+ */
+function renderAccuracyMetrics(pairs) {
+    const container = document.getElementById('accuracy-kpi-container');
+    const { count, mae, bias, mape } = ForecastAccuracy.summarize(pairs);
+    const lead = `${accuracyState.leadTime} days out`;
+
+    container.innerHTML = [
+        { title: 'Mean Absolute Error', value: mae === null ? 'N/A' : `${formatNumber(mae)} pts`, icon: '🎯', trend: `Forecasts made ${lead}`, color: 'blue' },
+        { title: 'Bias', value: bias === null ? 'N/A' : `${bias > 0 ? '+' : ''}${formatNumber(bias)} pts`, icon: '⚖️', trend: bias === null ? 'No forecasts to compare' : (bias >= 0 ? 'Forecasts ran high' : 'Forecasts ran low'), color: 'purple' },
+        { title: 'MAPE', value: formatPercentage(mape), icon: '📐', trend: 'Mean absolute percentage error', color: 'orange' },
+        { title: 'Stay Dates', value: formatNumber(count, 0), icon: '🗓️', trend: 'With a forecast and an actual', color: 'green' }
+    ].map(card => SharedComponents.createMetricCard(card)).join('');
+    container.classList.add('stagger-children');
+}
+
+/**
+ * Renders the accuracy table: one row per city and segment, one column per lead time.
+ */
+function renderAccuracyTable(table) {
+    const container = document.getElementById('accuracy-table-container');
+    const leadTimes = AppConstants.ACCURACY.LEAD_TIMES;
+    const groups = new Map();
+    table.forEach(entry => {
+        const key = `${entry.city}|${entry.segment}`;
+        if (!groups.has(key)) groups.set(key, { city: entry.city, segment: entry.segment, byLead: {} });
+        groups.get(key).byLead[entry.leadTime] = entry;
+    });
+
+    const renderCell = (entry) => entry ? `
+        <div class="accuracy-cell">
+            <strong>${formatNumber(entry.mae)} pts</strong>
+            <span>Bias ${entry.bias > 0 ? '+' : ''}${formatNumber(entry.bias)} · MAPE ${formatPercentage(entry.mape)}</span>
+            <span>${formatNumber(entry.count, 0)} dates</span>
+        </div>
+    ` : '—';
+
+    container.innerHTML = `
+        <div class="data-table-container">
+            <div class="table-header">
+                <h2 class="chart-title">📋 Accuracy by Segment and Lead Time</h2>
+            </div>
+            <table class="data-table accuracy-table">
+                <thead>
+                    <tr>
+                        <th>City</th>
+                        <th>Segment</th>
+                        ${leadTimes.map(days => `<th>${days} Days Out (MAE)</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${groups.size ? [...groups.values()].map(group => `
+                        <tr class="${group.segment === accuracyState.segment ? 'accuracy-selected' : ''}">
+                            <td>${group.city}</td>
+                            <td>${EnhancedDashboardComponents.getSegmentLabel(group.segment)}</td>
+                            ${leadTimes.map(days => `<td>${renderCell(group.byLead[days])}</td>`).join('')}
+                        </tr>
+                    `).join('') : `<tr><td colspan="${leadTimes.length + 2}" class="table-empty">No forecasts have an actual yet. Accuracy appears once stay dates become historical in a later report.</td></tr>`}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Fills the stay date picker and renders the drift chart for the selected stay date.
+ * Defaults to the latest stay date with an actual, else the latest stay date.
+ */
+async function renderDriftChart() {
+    const select = document.getElementById('drift-stay-date');
+    if (accuracyState.city === ALL_CITIES) {
+        select.hidden = true;
+        renderChartMessage('forecast-drift-chart', 'Pick a city to see how a stay date\'s forecast changed from report to report.');
+        return;
+    }
+
+    const rows = getSelectedRows();
+    const dates = ForecastAccuracy.getDriftDates(rows, accuracyState.city, accuracyState.segment);
+    select.hidden = dates.length === 0;
+    if (dates.length === 0) {
+        renderChartMessage('forecast-drift-chart', 'No stay date appears in more than one report yet.');
+        return;
+    }
+
+    if (!dates.includes(accuracyState.stayDate)) {
+        const actualDates = new Set(ForecastAccuracy.pairForecasts(rows, accuracyState.leadTime)
+            .filter(pair => pair.segment === accuracyState.segment)
+            .map(pair => pair.forecastDate));
+        accuracyState.stayDate = [...dates].reverse().find(date => actualDates.has(date)) || dates[dates.length - 1];
+    }
+
+    select.innerHTML = dates.map(date => `<option value="${date}">${formatDate(date, 'long')}</option>`).join('');
+    select.value = accuracyState.stayDate;
+
+    const drift = ForecastAccuracy.getDrift(rows, accuracyState.city, accuracyState.segment, accuracyState.stayDate);
+    await EnhancedDashboardComponents.createForecastDriftChart('forecast-drift-chart', drift, accuracyState.stayDate);
+}
+
+/**
+ * Shows a message in place of a chart.
+ */
+function renderChartMessage(containerId, message) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    container.innerHTML = `<p class="empty-message">${message}</p>`;
+}
+
+/**
+ * Shows skeletons while reports load.
+ */
+function renderSkeletonState() {
+    document.getElementById('accuracy-kpi-container').innerHTML = Array(4).fill(0).map(() => `
+        <div class="metric-card">
+            <div class="skeleton skeleton-title" style="width: 60%"></div>
+            <div class="skeleton skeleton-text" style="height: 48px; width: 80%; margin-top: 16px"></div>
+        </div>
+    `).join('');
+    document.querySelectorAll('.chart-canvas, #accuracy-table-container').forEach(container => {
+        EnhancedDashboardComponents.clearChart(container.id);
+        container.innerHTML = `<div class="skeleton" style="height: 300px; width: 100%; border-radius: var(--radius-md)"></div>`;
+    });
+}
+
+/**
+ * Shows a load failure with a retry button.
+ */
+function renderLoadError(error, retryCallback) {
+    console.error('Failed to load forecast accuracy:', error);
+    showAlert(`Failed to load forecast accuracy: ${error.message}`, 'error', 0);
+
+    const container = document.getElementById('accuracy-kpi-container');
+    container.classList.remove('stagger-children');
+    container.innerHTML = `
+        <div class="empty-state animate-scaleIn">
+            <div class="empty-icon">⚠️</div>
+            <h2 class="empty-title">Unable to load forecast accuracy</h2>
+            <p class="empty-message">${error.message}</p>
+            <div class="empty-actions">
+                <button class="btn btn-primary" data-action="retry">Retry</button>
+            </div>
+        </div>
+    `;
+    container.querySelector('[data-action="retry"]').addEventListener('click', retryCallback);
+    document.querySelectorAll('.chart-canvas, #accuracy-table-container').forEach(c => EnhancedDashboardComponents.clearChart(c.id));
+}
@@ -0,0 +1,185 @@
+/**
+ * @file admin.js
+ * @description Logic for the admin console. Lists users from the profiles table
+ * and lets admins change their roles.
+ */
+
+// --- STATE MANAGEMENT ---
+const adminState = {
+    users: [],
+    currentUserId: null,
+    searchTerm: '',
+};
+
+// --- INITIALIZATION ---
+document.addEventListener('DOMContentLoaded', async () => {
+    // Redirect to login if no session exists.
+    const supabaseClient = window.SupabaseConfig.getClient();
+    if (!supabaseClient) {
+        window.location.replace(window.AppConstants.ROUTES.LOGIN);
+        return;
+    }
+
+    const { data: { session } } = await supabaseClient.auth.getSession();
+    if (!session) {
+        window.location.replace(window.AppConstants.ROUTES.LOGIN);
+        return;
+    }
+    adminState.currentUserId = session.user.id;
+
+    if (!initializePage('admin')) return;
+
+    const role = await getCurrentUserRole();
+    if (!hasPermission(role, 'MANAGE_USERS')) {
+        document.getElementById('admin-component-container').innerHTML = SharedComponents.createAccessDenied(
+            'The admin console is only available to administrators. Ask an admin if you need access.'
+        );
+        return;
+    }
+
+    await loadUsers();
+});
+
+// --- DATA LOADING ---
+
+/**
+ * Fetches all user profiles and renders the user table.
+ */
+async function loadUsers() {
+    const supabaseClient = window.SupabaseConfig.getClient();
+    const container = document.getElementById('admin-component-container');
+
+    container.innerHTML = `<div class="skeleton" style="height: 320px; width: 100%; border-radius: var(--radius-lg)"></div>`;
+
+    try {
+        const { data, error } = await supabaseClient
+            .from(AppConstants.DATABASE.PROFILES_TABLE_NAME)
+            .select('id, email, role, last_sign_in_at')
+            .order('email', { ascending: true });
+        if (error) throw error;
+
+        adminState.users = data || [];
+        renderUserTable();
+    } catch (error) {
+        console.error('Failed to load users:', error);
+        showAlert(`Failed to load users: ${error.message}`, 'error', 0);
+        container.innerHTML = `
+            <div class="empty-state animate-scaleIn">
+                <div class="empty-icon">⚠️</div>
+                <h2 class="empty-title">Unable to load users</h2>
+                <p class="empty-message">${escapeHtml(error.message)}</p>
+                <div class="empty-actions">
+                    <button class="btn btn-primary" onclick="loadUsers()">Retry</button>
+                </div>
+            </div>
+        `;
+    }
+}
+
+// --- UI RENDERING ---
+
+/**
+ * Renders the user table with a role selector per user.
+ */
+function renderUserTable() {
+    const container = document.getElementById('admin-component-container');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div class="data-table-container">
+            <div class="table-header">
+                <h2 class="chart-title">👥 Users (${adminState.users.length})</h2>
+                <div class="table-actions">
+                    <input type="search" id="user-search" class="table-search" placeholder="Search by email..." value="${escapeHtml(adminState.searchTerm)}">
+                </div>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>User</th>
+                        <th>Role</th>
+                        <th>Last Sign-In</th>
+                    </tr>
+                </thead>
+                <tbody id="user-table-body"></tbody>
+            </table>
+        </div>
+    `;
+
+    renderUserRows();
+
+    const search = document.getElementById('user-search');
+    search.addEventListener('input', () => {
+        adminState.searchTerm = search.value;
+        renderUserRows();
+    });
+}
+
+/**
+ * Renders the table rows matching the current search term.
+ */
+function renderUserRows() {
+    const tbody = document.getElementById('user-table-body');
+    if (!tbody) return;
+
+    const term = adminState.searchTerm.trim().toLowerCase();
+    const users = adminState.users.filter(u => !term || (u.email || '').toLowerCase().includes(term));
+
+    if (users.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="3" class="table-empty">No users found</td></tr>`;
+        return;
+    }
+
+    const roles = Object.values(AppConstants.ROLES);
+    tbody.innerHTML = users.map(user => {
+        const isSelf = user.id === adminState.currentUserId;
+        return `
+            <tr>
+                <td>${escapeHtml(user.email || user.id)}${isSelf ? ' <span class="role-badge">You</span>' : ''}</td>
+                <td>
+                    <select class="form-select role-select" data-user-id="${user.id}" ${isSelf ? 'disabled title="You cannot change your own role"' : ''}>
+                        ${roles.map(r => `<option value="${r}" ${user.role === r ? 'selected' : ''}>${r.charAt(0).toUpperCase() + r.slice(1)}</option>`).join('')}
+                    </select>
+                </td>
+                <td>${formatDateTime(user.last_sign_in_at)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    tbody.querySelectorAll('.role-select').forEach(select => {
+        select.addEventListener('change', () => handleRoleChange(select));
+    });
+}
+
+// --- ROLE MANAGEMENT ---
+
+/**
+ * Saves a changed role, reverting the selector if the update fails.
+ * @param {HTMLSelectElement} select - The role selector that changed.
+ */
+async function handleRoleChange(select) {
+    const userId = select.dataset.userId;
+    const user = adminState.users.find(u => u.id === userId);
+    if (!user) return;
+
+    const previousRole = user.role;
+    const newRole = select.value;
+    select.disabled = true;
+
+    try {
+        const { error } = await window.SupabaseConfig.getClient()
+            .from(AppConstants.DATABASE.PROFILES_TABLE_NAME)
+            .update({ role: newRole })
+            .eq('id', userId);
+        if (error) throw error;
+
+        user.role = newRole;
+        showAlert(`${user.email || 'User'} is now ${newRole === AppConstants.ROLES.ADMIN ? 'an' : 'a'} ${newRole}.`, 'success');
+    } catch (error) {
+        console.error('Failed to update role:', error);
+        select.value = previousRole;
+        showAlert(`Failed to update role: ${error.message}`, 'error');
+    } finally {
+        select.disabled = false;
+    }
+}
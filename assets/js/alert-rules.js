@@ -0,0 +1,263 @@
+/**
+ * @file alert-rules.js
+ * @description User-defined alert rules, e.g. "Calgary Near Term occupancy below 60%",
+ * and the notifications they raise. Rules are checked against each city's latest report
+ * when the dashboard loads and after new data is uploaded. Rules and notifications are
+ * stored in localStorage.
+ */
+
+window.AlertRules = (() => {
+    // --- PRIVATE STATE ---
+    const listeners = new Set();
+
+    // --- PRIVATE METHODS ---
+
+    function read(key, fallback = []) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || fallback;
+        } catch (error) {
+            console.warn(`Ignoring malformed ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    const notifiedKey = (ruleId, city) => `${ruleId}|${city}`;
+
+    /**
+     * The latest report each rule has notified about, by rule and city. Kept apart from
+     * the notifications, which are trimmed to MAX_NOTIFICATIONS, so a trimmed notification
+     * is not raised again. Seeded from the notifications when it has not been saved yet.
+     * @returns {Object<string, string>} As-of date by `${ruleId}|${city}`.
+     */
+    function readNotified() {
+        if (localStorage.getItem(AppConstants.STORAGE_KEYS.NOTIFIED_REPORTS) !== null) {
+            return read(AppConstants.STORAGE_KEYS.NOTIFIED_REPORTS, {});
+        }
+        const notified = {};
+        publicApi.getNotifications().forEach(n => {
+            const key = notifiedKey(n.ruleId, n.city);
+            if (!notified[key] || n.asOfDate > notified[key]) notified[key] = n.asOfDate;
+        });
+        return notified;
+    }
+
+    function writeNotified(notified) {
+        localStorage.setItem(AppConstants.STORAGE_KEYS.NOTIFIED_REPORTS, JSON.stringify(notified));
+    }
+
+    function writeRules(rules) {
+        localStorage.setItem(AppConstants.STORAGE_KEYS.ALERT_RULES, JSON.stringify(rules));
+    }
+
+    function writeNotifications(notifications) {
+        const kept = notifications.slice(0, AppConstants.ALERT_RULES.MAX_NOTIFICATIONS);
+        localStorage.setItem(AppConstants.STORAGE_KEYS.NOTIFICATIONS, JSON.stringify(kept));
+        listeners.forEach(listener => listener());
+    }
+
+    const formatValue = (metric, value) => {
+        const { unit } = AppConstants.ALERT_RULES.METRICS[metric];
+        if (unit === '%') return formatPercentage(value);
+        return `${value > 0 && metric === 'stly_variance' ? '+' : ''}${formatNumber(value, unit === 'rooms' ? 0 : 1)} ${unit}`;
+    };
+
+    /**
+     * Finds the city's latest report and fetches its rows.
+     * @returns {Promise<object[]>} Empty if the city has no reports.
+     */
+    async function fetchLatestReport(city) {
+        const client = window.SupabaseConfig.getClient();
+        if (!client) throw new Error('Supabase client is not available.');
+
+        const { data: latest, error: dateError } = await client
+            .from(AppConstants.DATABASE.TABLE_NAME)
+            .select('as_of_date')
+            .eq('city', city)
+            .order('as_of_date', { ascending: false })
+            .limit(1);
+
+        if (dateError) throw dateError;
+        if (!latest || latest.length === 0) return [];
+
+        return window.SupabaseConfig.fetchAllRows(client => client
+            .from(AppConstants.DATABASE.TABLE_NAME)
+            .select('city, as_of_date, forecast_date, market_segment, current_occupancy, stly_variance, weekly_pickup')
+            .eq('city', city)
+            .eq('as_of_date', latest[0].as_of_date));
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * @returns {object[]} Every saved rule, oldest first.
+         */
+        getRules: () => read(AppConstants.STORAGE_KEYS.ALERT_RULES),
+
+        /**
+         * Validates and saves a new rule.
+         * @param {{city: string, segment: string, metric: string, operator: string, value: number,
+         * horizon: string|null, withinDays: number|null, match: string}} rule - city is 'all' for
+         * every city; match is 'any' (any stay date) or 'average' (the average of the stay dates).
+         * @returns {object} The saved rule with its id.
+         */
+        addRule: (rule) => {
+            if (!AppConstants.ALERT_RULES.METRICS[rule.metric]) throw new Error('Choose a metric for the rule.');
+            if (!Number.isFinite(rule.value)) throw new Error('Enter a number to compare the metric with.');
+            if (rule.withinDays !== null && !(rule.withinDays > 0)) throw new Error('The number of days must be at least 1.');
+
+            const saved = { ...rule, id: crypto.randomUUID(), createdAt: new Date().toISOString() };
+            writeRules([...publicApi.getRules(), saved]);
+            return saved;
+        },
+
+        /**
+         * Deletes a rule. Notifications it already raised are kept.
+         * @param {string} ruleId
+         */
+        deleteRule: (ruleId) => {
+            writeRules(publicApi.getRules().filter(rule => rule.id !== ruleId));
+            const notified = readNotified();
+            Object.keys(notified).filter(key => key.startsWith(`${ruleId}|`)).forEach(key => delete notified[key]);
+            writeNotified(notified);
+        },
+
+        /**
+         * Describes a rule, e.g. "Calgary · Totals average occupancy below 60.0% in Near Term (0-30 days)".
+         * @param {object} rule
+         * @returns {string}
+         */
+        describeRule: (rule) => {
+            const horizonKey = Object.keys(AppConstants.FORECAST_HORIZONS).find(k => AppConstants.FORECAST_HORIZONS[k] === rule.horizon);
+            const dates = rule.withinDays
+                ? `in the next ${rule.withinDays} days`
+                : (horizonKey ? `in ${AppConstants.HORIZON_DEFINITIONS[horizonKey].label}` : 'for upcoming dates');
+            // Lowercase mid-sentence, keeping acronyms such as STLY
+            const metric = AppConstants.ALERT_RULES.METRICS[rule.metric].label.replace(/^[A-Z](?=[a-z])/, c => c.toLowerCase());
+            const condition = `${rule.operator === 'below' ? 'below' : 'above'} ${formatValue(rule.metric, rule.value)}`;
+            const subject = rule.match === 'average' ? `average ${metric}` : metric;
+            return `${rule.city === 'all' ? 'Any city' : rule.city} · ${rule.segment.replace(/_/g, ' ')} ${subject} ${condition} ${rule.match === 'average' ? dates : `on any date ${dates}`}`;
+        },
+
+        /**
+         * Checks one rule against a report. Only stay dates on or after the as-of date count.
+         * @param {object} rule
+         * @param {object[]} report - The rows of one report (one city and as-of date).
+         * @returns {string|null} What matched, or null if the rule does not match.
+         */
+        evaluate: (rule, report) => {
+            if (report.length === 0 || (rule.city !== 'all' && rule.city !== report[0].city)) return null;
+
+            const asOfDate = toIsoDate(report[0].as_of_date);
+            const rows = report.filter(row => {
+                if (row.market_segment !== rule.segment || row[rule.metric] == null) return false;
+                const daysOut = getDaysOut(row.forecast_date, asOfDate);
+                if (daysOut < 0) return false;
+                if (rule.withinDays && daysOut >= rule.withinDays) return false;
+                return !rule.horizon || getHorizonFromDaysOut(daysOut) === rule.horizon;
+            });
+            if (rows.length === 0) return null;
+
+            const passes = (value) => rule.operator === 'below' ? value < rule.value : value > rule.value;
+
+            if (rule.match === 'average') {
+                const average = rows.reduce((sum, row) => sum + row[rule.metric], 0) / rows.length;
+                return passes(average) ? `Average of ${formatValue(rule.metric, average)} over ${formatNumber(rows.length, 0)} dates` : null;
+            }
+
+            const matches = rows.filter(row => passes(row[rule.metric]));
+            if (matches.length === 0) return null;
+            const extreme = matches.reduce((a, b) => (rule.operator === 'below' ? b[rule.metric] < a[rule.metric] : b[rule.metric] > a[rule.metric]) ? b : a);
+            return `${formatNumber(matches.length, 0)} ${matches.length === 1 ? 'date matches' : 'dates match'}, ${rule.operator === 'below' ? 'lowest' : 'highest'} ${formatValue(rule.metric, extreme[rule.metric])} on ${formatDate(extreme.forecast_date)}`;
+        },
+
+        /**
+         * Checks every rule against the latest report of each city and adds a notification
+         * for each new match. A rule notifies once per report.
+         * @param {string[]} cities - The cities with reports.
+         * @returns {Promise<object[]>} The notifications added.
+         */
+        checkLatestReports: async (cities) => {
+            const rules = publicApi.getRules();
+            const ruleCities = cities.filter(city => rules.some(rule => rule.city === 'all' || rule.city === city));
+            if (ruleCities.length === 0) return [];
+
+            const reports = await Promise.all(ruleCities.map(fetchLatestReport));
+            const notified = readNotified();
+            const added = [];
+
+            reports.filter(report => report.length > 0).forEach(report => {
+                const city = report[0].city;
+                const asOfDate = toIsoDate(report[0].as_of_date);
+                rules.forEach(rule => {
+                    if (notified[notifiedKey(rule.id, city)] === asOfDate) return;
+                    const message = publicApi.evaluate(rule, report);
+                    if (!message) return;
+
+                    notified[notifiedKey(rule.id, city)] = asOfDate;
+                    added.push({
+                        id: crypto.randomUUID(),
+                        ruleId: rule.id,
+                        title: publicApi.describeRule({ ...rule, city }),
+                        message,
+                        city,
+                        asOfDate,
+                        segment: rule.segment,
+                        createdAt: new Date().toISOString(),
+                        read: false
+                    });
+                });
+            });
+
+            if (added.length > 0) {
+                writeNotified(notified);
+                writeNotifications([...added, ...publicApi.getNotifications()]);
+            }
+            return added;
+        },
+
+        /**
+         * @returns {object[]} The stored notifications, newest first.
+         */
+        getNotifications: () => read(AppConstants.STORAGE_KEYS.NOTIFICATIONS),
+
+        /**
+         * @returns {number} How many notifications are unread.
+         */
+        getUnreadCount: () => publicApi.getNotifications().filter(n => !n.read).length,
+
+        /**
+         * Marks one notification as read or unread.
+         * @param {string} notificationId
+         * @param {boolean} [read=true]
+         */
+        setRead: (notificationId, read = true) => {
+            writeNotifications(publicApi.getNotifications().map(n => n.id === notificationId ? { ...n, read } : n));
+        },
+
+        /**
+         * Marks every notification as read.
+         */
+        markAllRead: () => {
+            writeNotifications(publicApi.getNotifications().map(n => ({ ...n, read: true })));
+        },
+
+        /**
+         * Calls the listener whenever the notifications change, in this tab or another.
+         * @param {Function} listener
+         * @returns {Function} Stops listening.
+         */
+        onChange: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+
+    // Notifications raised or read in another tab
+    window.addEventListener('storage', (e) => {
+        if (e.key === AppConstants.STORAGE_KEYS.NOTIFICATIONS) listeners.forEach(listener => listener());
+    });
+
+    return publicApi;
+})();
+
+console.log('✅ Alert rules loaded.');
@@ -0,0 +1,159 @@
+/**
+ * @file anomaly-detection.js
+ * @description Flags suspicious values in a report: occupancy over the maximum, large
+ * negative pickup, and sudden jumps in occupancy, STLY variance or pickup compared with
+ * the city's previous report. Thresholds default to AppConstants.ANOMALY and can be
+ * overridden per metric in localStorage.
+ */
+
+window.AnomalyDetection = (() => {
+    // --- PRIVATE STATE ---
+    const previousReports = new Map(); // city|asOfDate -> Promise<{asOfDate, rows}|null>
+
+    // --- PRIVATE METHODS ---
+
+    const rowKey = (row) => `${toIsoDate(row.forecast_date)}|${row.market_segment}`;
+
+    const SEVERITY_ORDER = { critical: 0, warning: 1 };
+
+    function readOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem(AppConstants.STORAGE_KEYS.ANOMALY_THRESHOLDS)) || {};
+        } catch (error) {
+            console.warn('Ignoring malformed anomaly thresholds:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Finds the city's latest as-of date before asOfDate and fetches that report.
+     * @returns {Promise<{asOfDate: string, rows: object[]}|null>} Null if there is no earlier report.
+     */
+    async function fetchPreviousReport(city, asOfDate) {
+        const client = window.SupabaseConfig.getClient();
+        if (!client) throw new Error('Supabase client is not available.');
+
+        const { data: latest, error: dateError } = await client
+            .from(AppConstants.DATABASE.TABLE_NAME)
+            .select('as_of_date')
+            .eq('city', city)
+            .lt('as_of_date', asOfDate)
+            .order('as_of_date', { ascending: false })
+            .limit(1);
+
+        if (dateError) throw dateError;
+        if (!latest || latest.length === 0) return null;
+
+        const previousDate = latest[0].as_of_date;
+        const rows = await window.SupabaseConfig.fetchAllRows(client => client
+            .from(AppConstants.DATABASE.TABLE_NAME)
+            .select('forecast_date, market_segment, current_occupancy, stly_variance, weekly_pickup')
+            .eq('city', city)
+            .eq('as_of_date', previousDate));
+        return { asOfDate: previousDate, rows };
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * The anomaly metrics with the thresholds currently in effect.
+         * @returns {Object<string, {label: string, unit: string, threshold: number, severity: string, description: string}>}
+         */
+        getMetrics: () => {
+            const overrides = readOverrides();
+            return Object.fromEntries(Object.entries(AppConstants.ANOMALY.METRICS).map(([metric, config]) => [
+                metric,
+                { ...config, threshold: Number.isFinite(overrides[metric]) ? overrides[metric] : config.threshold }
+            ]));
+        },
+
+        /**
+         * Saves threshold overrides. Values equal to the default are not stored.
+         * @param {Object<string, number>} thresholds - Threshold by metric key.
+         */
+        saveThresholds: (thresholds) => {
+            const overrides = {};
+            Object.entries(AppConstants.ANOMALY.METRICS).forEach(([metric, config]) => {
+                const value = Number(thresholds[metric]);
+                if (!Number.isFinite(value) || value < 0) throw new Error(`${config.label} needs a threshold of zero or more.`);
+                if (value !== config.threshold) overrides[metric] = value;
+            });
+            localStorage.setItem(AppConstants.STORAGE_KEYS.ANOMALY_THRESHOLDS, JSON.stringify(overrides));
+        },
+
+        /**
+         * Checks every row of a report, comparing it with the same stay date and
+         * segment in the previous report where one exists.
+         * @param {object[]} report - The report rows (one city and as-of date).
+         * @param {object[]} [previous=[]] - The rows of the city's previous report.
+         * @returns {Array<{forecastDate: string, segment: string, metric: string, severity: string,
+         * value: number, previous: number|null, message: string}>} Critical first, then by stay date.
+         */
+        detect: (report, previous = []) => {
+            const metrics = publicApi.getMetrics();
+            const previousByKey = new Map(previous.map(row => [rowKey(row), row]));
+            const anomalies = [];
+
+            const flag = (row, metric, value, previousValue, magnitude, message) => {
+                const config = metrics[metric];
+                const isCritical = config.severity === 'critical'
+                    || magnitude >= config.threshold * AppConstants.ANOMALY.CRITICAL_MULTIPLIER;
+                anomalies.push({
+                    forecastDate: toIsoDate(row.forecast_date),
+                    segment: row.market_segment,
+                    metric,
+                    severity: isCritical ? 'critical' : 'warning',
+                    value,
+                    previous: previousValue,
+                    message
+                });
+            };
+
+            // Flags a change vs the previous report that reaches the metric's threshold
+            const checkChange = (row, before, column, metric, describe) => {
+                if (!before || row[column] == null || before[column] == null) return;
+                const change = row[column] - before[column];
+                if (Math.abs(change) < metrics[metric].threshold) return;
+                flag(row, metric, row[column], before[column], Math.abs(change), describe(change, before[column], row[column]));
+            };
+
+            const signed = (value, decimals) => `${value > 0 ? '+' : ''}${formatNumber(value, decimals)}`;
+
+            report.forEach(row => {
+                const before = previousByKey.get(rowKey(row));
+
+                if (row.current_occupancy != null && row.current_occupancy > metrics.occupancy_over_max.threshold) {
+                    flag(row, 'occupancy_over_max', row.current_occupancy, null, row.current_occupancy,
+                        `Occupancy of ${formatPercentage(row.current_occupancy)} is above ${formatPercentage(metrics.occupancy_over_max.threshold)}`);
+                }
+                if (row.weekly_pickup != null && row.weekly_pickup <= -metrics.negative_pickup.threshold) {
+                    flag(row, 'negative_pickup', row.weekly_pickup, null, -row.weekly_pickup,
+                        `Weekly pickup of ${formatNumber(row.weekly_pickup, 0)} rooms`);
+                }
+
+                checkChange(row, before, 'current_occupancy', 'occupancy_jump', (change, from, to) =>
+                    `Occupancy ${signed(change)} pts vs previous report (${formatPercentage(from)} → ${formatPercentage(to)})`);
+                checkChange(row, before, 'stly_variance', 'stly_swing', (change, from, to) =>
+                    `STLY variance ${signed(change)} pts vs previous report (${signed(from)} → ${signed(to)})`);
+                checkChange(row, before, 'weekly_pickup', 'pickup_swing', (change, from, to) =>
+                    `Weekly pickup ${signed(change, 0)} rooms vs previous report (${formatNumber(from, 0)} → ${formatNumber(to, 0)})`);
+            });
+
+            return anomalies.sort((a, b) =>
+                SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || a.forecastDate.localeCompare(b.forecastDate));
+        },
+
+        /**
+         * Loads the city's report issued before asOfDate, reusing an earlier or in-flight request.
+         * @param {string} city
+         * @param {string} asOfDate - The report's as-of date (YYYY-MM-DD).
+         * @returns {Promise<{asOfDate: string, rows: object[]}|null>} Null if there is no earlier report.
+         */
+        loadPreviousReport: (city, asOfDate) => getCachedRequest(previousReports, `${city}|${toIsoDate(asOfDate)}`,
+            () => fetchPreviousReport(city, toIsoDate(asOfDate)))
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Anomaly detection loaded.');
@@ -0,0 +1,113 @@
+/**
+ * @file baseline-forecast.js
+ * @description Builds an independent baseline occupancy projection from a city's earlier
+ * reports, so analysts can spot uploaded forecasts that diverge from history. Combines the
+ * historical pickup curve with last year's actual adjusted by the STLY variance.
+ */
+
+window.BaselineForecast = (() => {
+    // --- PRIVATE METHODS ---
+
+    const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+    const clamp = (value) => Math.min(100, Math.max(0, value));
+
+    /**
+     * Maps each stay date to its actual occupancy: the value in the latest report
+     * issued after the stay date, considering reports up to asOfDate only.
+     */
+    function getActuals(rows, asOfDate) {
+        const latest = new Map();
+        rows.forEach(row => {
+            const reportDate = toIsoDate(row.as_of_date);
+            const stayDate = toIsoDate(row.forecast_date);
+            if (reportDate > asOfDate || stayDate >= reportDate || row.current_occupancy == null) return;
+
+            const current = latest.get(stayDate);
+            if (!current || reportDate > current.reportDate) latest.set(stayDate, { reportDate, occupancy: row.current_occupancy });
+        });
+        return new Map([...latest].map(([stayDate, { occupancy }]) => [stayDate, occupancy]));
+    }
+
+    /**
+     * Measures how much occupancy was still picked up between each earlier report
+     * and the actual, grouped into days-out buckets. Buckets with too few samples are dropped.
+     * @returns {Map<number, {mean: number, std: number}>}
+     */
+    function getPickupCurve(rows, actuals, asOfDate) {
+        const { PICKUP_BUCKET_DAYS, MIN_SAMPLES } = AppConstants.BASELINE;
+        const samples = new Map();
+        rows.forEach(row => {
+            const reportDate = toIsoDate(row.as_of_date);
+            const stayDate = toIsoDate(row.forecast_date);
+            if (reportDate >= asOfDate || row.current_occupancy == null || !actuals.has(stayDate)) return;
+
+            const daysOut = getDaysOut(stayDate, reportDate);
+            if (daysOut < 0) return;
+            const bucket = Math.floor(daysOut / PICKUP_BUCKET_DAYS);
+            if (!samples.has(bucket)) samples.set(bucket, []);
+            samples.get(bucket).push(actuals.get(stayDate) - row.current_occupancy);
+        });
+
+        const curve = new Map();
+        samples.forEach((pickups, bucket) => {
+            if (pickups.length < MIN_SAMPLES) return;
+            const mean = average(pickups);
+            const variance = pickups.reduce((sum, p) => sum + (p - mean) ** 2, 0) / (pickups.length - 1);
+            curve.set(bucket, { mean, std: Math.sqrt(variance) });
+        });
+        return curve;
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * Projects occupancy for each forecast date in a report from the reports before it.
+         * @param {object[]} history - Every report row for the report's city, from ReportHistory.
+         * @param {object[]} report - The report to project (one city and as-of date).
+         * @param {string} segment - The market segment.
+         * @returns {Array<{forecastDate: string, baseline: number|null, lower: number|null, upper: number|null}>}
+         * One entry per forecast date in the report. The projection is null for past dates and
+         * for dates without enough history; the band is null without a pickup curve.
+         */
+        build: (history, report, segment = 'Totals') => {
+            if (report.length === 0) return [];
+
+            const { PICKUP_BUCKET_DAYS, CONFIDENCE_Z, STLY_OFFSET_DAYS } = AppConstants.BASELINE;
+            const asOfDate = toIsoDate(report[0].as_of_date);
+            const rows = history.filter(row => row.market_segment === segment);
+            const actuals = getActuals(rows, asOfDate);
+            const curve = getPickupCurve(rows, actuals, asOfDate);
+
+            return report
+                .filter(row => row.market_segment === segment)
+                .map(row => {
+                    const stayDate = toIsoDate(row.forecast_date);
+                    const daysOut = getDaysOut(stayDate, asOfDate);
+                    const empty = { forecastDate: row.forecast_date, baseline: null, lower: null, upper: null };
+                    if (daysOut < 0 || row.current_occupancy == null) return empty;
+
+                    const pickup = curve.get(Math.floor(daysOut / PICKUP_BUCKET_DAYS));
+                    const lastYearActual = actuals.get(addDays(stayDate, -STLY_OFFSET_DAYS));
+
+                    const estimates = [];
+                    if (pickup) estimates.push(row.current_occupancy + pickup.mean);
+                    if (lastYearActual != null && row.stly_variance != null) estimates.push(lastYearActual + row.stly_variance);
+                    if (estimates.length === 0) return empty;
+
+                    const baseline = clamp(average(estimates));
+                    const margin = pickup ? CONFIDENCE_Z * pickup.std : null;
+                    return {
+                        forecastDate: row.forecast_date,
+                        baseline,
+                        lower: margin === null ? null : clamp(baseline - margin),
+                        upper: margin === null ? null : clamp(baseline + margin)
+                    };
+                });
+        }
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Baseline forecast loaded.');
@@ -0,0 +1,91 @@
+/**
+ * @file booking-curve.js
+ * @description Booking curves: how a stay date's occupancy built up as days before
+ * arrival shrank, read across successive reports. Also averages the curves of comparable
+ * stay dates and finds the same-time-last-year curve for reference.
+ */
+
+window.BookingCurve = (() => {
+    // --- PRIVATE METHODS ---
+
+    /**
+     * Groups a segment's pre-arrival rows by stay date into days-out -> occupancy maps.
+     * @param {function(string): boolean} includeDate - Which stay dates to keep.
+     */
+    function getCurvesByDate(history, segment, includeDate) {
+        const curves = new Map();
+        history.forEach(row => {
+            if (row.market_segment !== segment || row.current_occupancy == null) return;
+            const stayDate = toIsoDate(row.forecast_date);
+            if (!includeDate(stayDate)) return;
+
+            const daysOut = getDaysOut(stayDate, row.as_of_date);
+            if (daysOut < 0) return;
+            if (!curves.has(stayDate)) curves.set(stayDate, new Map());
+            curves.get(stayDate).set(daysOut, row.current_occupancy);
+        });
+        return curves;
+    }
+
+    const toPoints = (curve) => [...curve]
+        .map(([daysOut, occupancy]) => ({ daysOut, occupancy }))
+        .sort((a, b) => b.daysOut - a.daysOut);
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * The booking curve of one stay date.
+         * @param {object[]} history - Every report row for the city, from ReportHistory.
+         * @param {string} stayDate - The forecast date (YYYY-MM-DD).
+         * @param {string} segment - The market segment.
+         * @returns {Array<{daysOut: number, occupancy: number}>} Furthest out first.
+         */
+        getCurve: (history, stayDate, segment = 'Totals') => {
+            const curve = getCurvesByDate(history, segment, date => date === stayDate).get(stayDate);
+            return curve ? toPoints(curve) : [];
+        },
+
+        /**
+         * Averages the booking curves of comparable stay dates: the same weekday in the
+         * same month, in any year, other than the stay date itself.
+         * @param {object[]} history - Every report row for the city, from ReportHistory.
+         * @param {string} stayDate - The forecast date (YYYY-MM-DD).
+         * @param {string} segment - The market segment.
+         * @returns {{points: Array<{daysOut: number, occupancy: number}>, dateCount: number}}
+         */
+        getComparableCurve: (history, stayDate, segment = 'Totals') => {
+            const weekdayAndMonth = (date) => {
+                const [year, month, day] = date.split('-').map(Number);
+                return `${new Date(Date.UTC(year, month - 1, day)).getUTCDay()}|${month}`;
+            };
+            const target = weekdayAndMonth(stayDate);
+            const curves = getCurvesByDate(history, segment, date => date !== stayDate && weekdayAndMonth(date) === target);
+
+            const sums = new Map();
+            curves.forEach(curve => curve.forEach((occupancy, daysOut) => {
+                const sum = sums.get(daysOut) || { total: 0, count: 0 };
+                sums.set(daysOut, { total: sum.total + occupancy, count: sum.count + 1 });
+            }));
+
+            const average = new Map([...sums].map(([daysOut, { total, count }]) => [daysOut, total / count]));
+            return { points: toPoints(average), dateCount: curves.size };
+        },
+
+        /**
+         * The booking curve of the same stay date last year, STLY_OFFSET_DAYS earlier so it
+         * falls on the same weekday.
+         * @param {object[]} history - Every report row for the city, from ReportHistory.
+         * @param {string} stayDate - The forecast date (YYYY-MM-DD).
+         * @param {string} segment - The market segment.
+         * @returns {{stayDate: string, points: Array<{daysOut: number, occupancy: number}>}}
+         */
+        getStlyCurve: (history, stayDate, segment = 'Totals') => {
+            const lastYear = addDays(stayDate, -AppConstants.BASELINE.STLY_OFFSET_DAYS);
+            return { stayDate: lastYear, points: publicApi.getCurve(history, lastYear, segment) };
+        }
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Booking curve loaded.');
@@ -0,0 +1,196 @@
+/**
+ * @file column-mapping.js
+ * @description Maps spreadsheet headers onto the forecast columns. Suggests a mapping
+ * from AppConstants.VALIDATION.COLUMN_ALIASES and stores named mapping profiles in localStorage.
+ */
+
+window.ColumnMapping = (() => {
+    // Minimum similarity for a header to be suggested when no alias matches exactly
+    const MIN_SIMILARITY = 0.5;
+
+    // --- PRIVATE METHODS ---
+
+    /**
+     * Normalizes a header for comparison: "Occ %" -> "occ pct", "Stay_Date" -> "stay date".
+     */
+    function normalizeHeader(header) {
+        return String(header || '')
+            .toLowerCase()
+            .replace(/%/g, ' pct ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Scores how well a header matches a column: 1 for the column name or an alias,
+     * otherwise the token overlap (Jaccard) with the closest alias.
+     */
+    function scoreHeader(header, column) {
+        const normalized = normalizeHeader(header);
+        if (!normalized) return 0;
+
+        const candidates = [column, ...(AppConstants.VALIDATION.COLUMN_ALIASES[column] || [])].map(normalizeHeader);
+        if (candidates.includes(normalized)) return 1;
+
+        const headerTokens = new Set(normalized.split(' '));
+        return Math.max(...candidates.map(candidate => {
+            const tokens = new Set(candidate.split(' '));
+            const shared = [...tokens].filter(t => headerTokens.has(t)).length;
+            return shared / new Set([...tokens, ...headerTokens]).size;
+        }));
+    }
+
+    function readProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem(AppConstants.STORAGE_KEYS.COLUMN_MAPPINGS)) || {};
+        } catch (error) {
+            console.warn('Ignoring malformed column mapping profiles:', error);
+            return {};
+        }
+    }
+
+    function writeProfiles(profiles) {
+        localStorage.setItem(AppConstants.STORAGE_KEYS.COLUMN_MAPPINGS, JSON.stringify(profiles));
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * All columns the uploader understands, required first.
+         * @returns {string[]}
+         */
+        getColumns: () => [...AppConstants.VALIDATION.REQUIRED_COLUMNS, ...AppConstants.VALIDATION.OPTIONAL_COLUMNS],
+
+        /**
+         * Suggests a source header for each column. Each header is used at most once,
+         * assigning the strongest matches first.
+         * @param {string[]} headers - The file's header row.
+         * @returns {{mapping: Object<string, string|null>, exact: boolean}} The mapping
+         * and whether every required column matched its name or an alias exactly.
+         */
+        suggest: (headers) => {
+            const columns = publicApi.getColumns();
+            const candidates = [];
+            columns.forEach(column => {
+                headers.forEach(header => {
+                    const score = scoreHeader(header, column);
+                    if (score >= MIN_SIMILARITY) candidates.push({ column, header, score });
+                });
+            });
+            candidates.sort((a, b) => b.score - a.score);
+
+            const mapping = Object.fromEntries(columns.map(c => [c, null]));
+            const usedHeaders = new Set();
+            const exactColumns = new Set();
+            candidates.forEach(({ column, header, score }) => {
+                if (mapping[column] || usedHeaders.has(header)) return;
+                mapping[column] = header;
+                usedHeaders.add(header);
+                if (score === 1) exactColumns.add(column);
+            });
+
+            const exact = AppConstants.VALIDATION.REQUIRED_COLUMNS.every(c => exactColumns.has(c));
+            return { mapping, exact };
+        },
+
+        /**
+         * Lists the required columns that have no source header.
+         * @param {Object<string, string|null>} mapping
+         * @returns {string[]}
+         */
+        getMissingColumns: (mapping) => AppConstants.VALIDATION.REQUIRED_COLUMNS.filter(c => !mapping[c]),
+
+        /**
+         * Converts raw sheet rows into objects keyed by column using the mapping.
+         * @param {{headers: string[], rows: Array<Array>}} sheet - The parsed sheet.
+         * @param {Object<string, string|null>} mapping
+         * @returns {object[]}
+         */
+        apply: (sheet, mapping) => sheet.rows.map(publicApi.createRowMapper(sheet.headers, mapping)),
+
+        /**
+         * Creates a function that converts one raw row into an object keyed by column,
+         * for rows that are streamed rather than held in a sheet.
+         * @param {string[]} headers - The file's header row.
+         * @param {Object<string, string|null>} mapping
+         * @returns {function(Array): object}
+         */
+        createRowMapper: (headers, mapping) => {
+            const indexes = Object.entries(mapping)
+                .filter(([, header]) => header)
+                .map(([column, header]) => [column, headers.indexOf(header)])
+                .filter(([, index]) => index !== -1);
+
+            return (row) => {
+                const rowData = {};
+                indexes.forEach(([column, index]) => { rowData[column] = row[index]; });
+                return rowData;
+            };
+        },
+
+        /**
+         * @returns {string[]} Saved profile names, alphabetically.
+         */
+        getProfileNames: () => Object.keys(readProfiles()).sort((a, b) => a.localeCompare(b)),
+
+        /**
+         * @param {string} name - The profile name.
+         * @returns {Object<string, string|null>|null} The saved mapping.
+         */
+        getProfile: (name) => readProfiles()[name]?.mapping || null,
+
+        /**
+         * Finds the most recently used profile whose headers all exist in the file.
+         * @param {string[]} headers - The file's header row.
+         * @returns {string|null} The profile name.
+         */
+        findMatchingProfile: (headers) => {
+            const matches = Object.entries(readProfiles())
+                .filter(([, profile]) => {
+                    const mapped = Object.values(profile.mapping).filter(Boolean);
+                    return mapped.length > 0 && mapped.every(header => headers.includes(header));
+                })
+                .sort(([, a], [, b]) => (b.lastUsedAt || '').localeCompare(a.lastUsedAt || ''));
+            return matches.length ? matches[0][0] : null;
+        },
+
+        /**
+         * Saves (or overwrites) a named mapping profile.
+         * @param {string} name - The profile name.
+         * @param {Object<string, string|null>} mapping
+         */
+        saveProfile: (name, mapping) => {
+            const trimmed = name.trim();
+            if (!trimmed) throw new Error('Please enter a profile name.');
+
+            const profiles = readProfiles();
+            profiles[trimmed] = { mapping: { ...mapping }, lastUsedAt: new Date().toISOString() };
+            writeProfiles(profiles);
+        },
+
+        /**
+         * Records that a profile was used so it is preferred for the next upload.
+         * @param {string} name - The profile name.
+         */
+        touchProfile: (name) => {
+            const profiles = readProfiles();
+            if (!profiles[name]) return;
+            profiles[name].lastUsedAt = new Date().toISOString();
+            writeProfiles(profiles);
+        },
+
+        /**
+         * Deletes a saved profile.
+         * @param {string} name - The profile name.
+         */
+        deleteProfile: (name) => {
+            const profiles = readProfiles();
+            delete profiles[name];
+            writeProfiles(profiles);
+        }
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Column mapping loaded.');
@@ -0,0 +1,274 @@
+/**
+ * Notification Center
+ * Bell menu in the navigation bar listing the notifications raised by alert rules,
+ * with read/unread state, and the modal where alert rules are managed
+ */
+window.NotificationCenter = (() => {
+    const RULES_MODAL_ID = 'alertRulesModal';
+    const BADGE_MAX = 99;
+
+    // --- PRIVATE STATE ---
+    let isInitialized = false;
+
+    // --- PRIVATE METHODS ---
+
+    const getRoot = () => document.querySelector('.notification-center');
+
+    /**
+     * Dashboard deep link to the report a notification was raised for.
+     * Parameter names follow FILTER_URL_PARAMS in script.js.
+     */
+    function getDashboardLink(notification) {
+        const params = new URLSearchParams({ city: notification.city, as_of: notification.asOfDate, segment: notification.segment });
+        return `${AppConstants.ROUTES.DASHBOARD}?${params}`;
+    }
+
+    function renderBadge() {
+        const badge = getRoot()?.querySelector('.notification-badge');
+        if (!badge) return;
+        const count = AlertRules.getUnreadCount();
+        badge.hidden = count === 0;
+        badge.textContent = count > BADGE_MAX ? `${BADGE_MAX}+` : String(count);
+        getRoot().querySelector('.notification-btn').title = count ? `${count} unread notifications` : 'Notifications';
+    }
+
+    function renderPanel() {
+        const panel = getRoot()?.querySelector('.notification-panel');
+        if (!panel || panel.hidden) return;
+
+        const notifications = AlertRules.getNotifications();
+        const hasUnread = notifications.some(n => !n.read);
+        panel.innerHTML = `
+            <div class="notification-panel-header">
+                <strong>Notifications</strong>
+                <button type="button" class="btn btn-secondary btn-sm" data-action="mark-all-read" ${hasUnread ? '' : 'disabled'}>Mark all read</button>
+            </div>
+            <ul class="notification-list">
+                ${notifications.length ? notifications.map(n => `
+                    <li class="notification-item ${n.read ? '' : 'unread'}" data-id="${n.id}">
+                        <a class="notification-link" href="${getDashboardLink(n)}" data-action="open">
+                            <span class="notification-title">${n.title}</span>
+                            <span class="notification-message">${n.message}</span>
+                            <span class="notification-meta">Report as of ${formatDate(n.asOfDate)} · ${formatDateTime(n.createdAt)}</span>
+                        </a>
+                        <button type="button" class="notification-read-toggle" data-action="toggle-read"
+                            title="Mark as ${n.read ? 'unread' : 'read'}" aria-label="Mark as ${n.read ? 'unread' : 'read'}">${n.read ? '○' : '●'}</button>
+                    </li>
+                `).join('') : '<li class="notification-empty">No notifications yet. Add an alert rule to be notified when a report matches it.</li>'}
+            </ul>
+            <div class="notification-panel-footer">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="manage-rules">⚙️ Alert Rules</button>
+            </div>
+        `;
+    }
+
+    function render() {
+        renderBadge();
+        renderPanel();
+    }
+
+    function setOpen(isOpen) {
+        const root = getRoot();
+        if (!root) return;
+        root.querySelector('.notification-panel').hidden = !isOpen;
+        root.querySelector('.notification-btn').setAttribute('aria-expanded', String(isOpen));
+        renderPanel();
+    }
+
+    function handlePanelClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        const notificationId = target.closest('.notification-item')?.dataset.id;
+
+        switch (target.dataset.action) {
+            case 'open':
+                // Navigation continues after the notification is marked as read
+                AlertRules.setRead(notificationId, true);
+                break;
+            case 'toggle-read': {
+                const notification = AlertRules.getNotifications().find(n => n.id === notificationId);
+                if (notification) AlertRules.setRead(notificationId, !notification.read);
+                break;
+            }
+            case 'mark-all-read':
+                AlertRules.markAllRead();
+                break;
+            case 'manage-rules':
+                setOpen(false);
+                publicApi.showRules();
+                break;
+        }
+    }
+
+    function renderRuleList() {
+        const list = document.getElementById('alert-rule-list');
+        if (!list) return;
+
+        const rules = AlertRules.getRules();
+        list.innerHTML = rules.length ? rules.map(rule => `
+            <li class="alert-rule-item">
+                <span>${AlertRules.describeRule(rule)}</span>
+                <button type="button" class="btn btn-secondary btn-sm" data-delete-rule="${rule.id}" title="Delete rule">×</button>
+            </li>
+        `).join('') : '<li class="notification-empty">No alert rules yet.</li>';
+
+        list.querySelectorAll('[data-delete-rule]').forEach(button => {
+            button.addEventListener('click', () => {
+                AlertRules.deleteRule(button.dataset.deleteRule);
+                renderRuleList();
+            });
+        });
+    }
+
+    function closeRules() {
+        const modal = document.getElementById(RULES_MODAL_ID);
+        if (!modal) return;
+        modal.classList.add('modal-exit');
+        setTimeout(() => modal.remove(), 300);
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * Connects the bell rendered by SharedComponents.createNavigation to the notifications.
+         */
+        init: () => {
+            const root = getRoot();
+            if (!root || !window.AlertRules) return;
+
+            root.querySelector('.notification-btn').addEventListener('click', () => {
+                setOpen(root.querySelector('.notification-panel').hidden);
+            });
+            root.querySelector('.notification-panel').addEventListener('click', handlePanelClick);
+            render();
+
+            if (isInitialized) return;
+            isInitialized = true;
+            AlertRules.onChange(render);
+            document.addEventListener('click', (e) => {
+                // The event path, since a click inside the panel can re-render it and detach e.target
+                if (getRoot() && !e.composedPath().includes(getRoot())) setOpen(false);
+            });
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') setOpen(false);
+            });
+        },
+
+        /**
+         * Checks the alert rules against the latest report of each city and announces
+         * new notifications. Failures are logged, not shown.
+         * @param {string[]} cities
+         */
+        check: async (cities) => {
+            try {
+                const added = await AlertRules.checkLatestReports(cities);
+                if (added.length > 0) {
+                    showAlert(`🔔 ${added.length} new ${added.length === 1 ? 'notification' : 'notifications'} from your alert rules`, 'info');
+                }
+            } catch (error) {
+                console.warn('Failed to check alert rules:', error);
+            }
+        },
+
+        /**
+         * Opens the modal that lists, adds and deletes alert rules.
+         */
+        showRules: () => {
+            document.getElementById(RULES_MODAL_ID)?.remove();
+
+            const horizonOptions = Object.entries(AppConstants.FORECAST_HORIZONS)
+                .filter(([key]) => key !== 'HISTORICAL')
+                .map(([key, horizon]) => `<option value="${horizon}">${AppConstants.HORIZON_DEFINITIONS[key].label}</option>`)
+                .join('');
+
+            const modalContainer = document.createElement('div');
+            modalContainer.innerHTML = `
+                <div id="${RULES_MODAL_ID}" class="modal-overlay">
+                    <div class="modal-content animate-scaleIn">
+                        <div class="modal-header">
+                            <h2>Alert Rules</h2>
+                            <button class="modal-close" data-action="close">×</button>
+                        </div>
+                        <div class="modal-body">
+                            <p>Rules are checked against each city's latest report when the dashboard loads and after an upload. Each match adds one notification per report.</p>
+                            <ul id="alert-rule-list" class="alert-rule-list"></ul>
+                            <form id="alert-rule-form">
+                                <div class="alert-rule-fields">
+                                    <select class="form-select" name="city" aria-label="City">
+                                        <option value="all">Any city</option>
+                                        ${AppConstants.CITIES.map(city => `<option value="${city}">${city}</option>`).join('')}
+                                    </select>
+                                    <select class="form-select" name="segment" aria-label="Segment">
+                                        ${AppConstants.MARKET_SEGMENTS.map(s => `<option value="${s}">${s.replace(/_/g, ' ')}</option>`).join('')}
+                                    </select>
+                                    <select class="form-select" name="match" aria-label="Match">
+                                        <option value="any">Any date's</option>
+                                        <option value="average">Average</option>
+                                    </select>
+                                    <select class="form-select" name="metric" aria-label="Metric">
+                                        ${Object.entries(AppConstants.ALERT_RULES.METRICS).map(([metric, config]) => `
+                                            <option value="${metric}">${config.label} (${config.unit})</option>
+                                        `).join('')}
+                                    </select>
+                                    <select class="form-select" name="operator" aria-label="Condition">
+                                        <option value="below">falls below</option>
+                                        <option value="above">rises above</option>
+                                    </select>
+                                    <input type="number" class="form-input" name="value" step="any" placeholder="Value" aria-label="Value" required>
+                                    <select class="form-select" name="dates" aria-label="Stay dates">
+                                        <option value="">All upcoming dates</option>
+                                        ${horizonOptions}
+                                        <option value="days">Next N days</option>
+                                    </select>
+                                    <input type="number" class="form-input" name="withinDays" min="1" step="1" value="30" aria-label="Days" hidden>
+                                </div>
+                                <div class="form-actions">
+                                    <button type="button" class="btn btn-secondary" data-action="close">Close</button>
+                                    <button type="submit" class="btn btn-primary">Add Rule</button>
+                                </div>
+                            </form>
+                        </div>
+                    </div>
+                </div>
+            `;
+            const overlay = modalContainer.firstElementChild;
+            document.body.appendChild(overlay);
+            renderRuleList();
+
+            const form = document.getElementById('alert-rule-form');
+            overlay.querySelectorAll('[data-action="close"]').forEach(button => button.addEventListener('click', closeRules));
+            form.elements.dates.addEventListener('change', () => {
+                form.elements.withinDays.hidden = form.elements.dates.value !== 'days';
+            });
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const dates = form.elements.dates.value;
+                let rule;
+                try {
+                    rule = AlertRules.addRule({
+                        city: form.elements.city.value,
+                        segment: form.elements.segment.value,
+                        metric: form.elements.metric.value,
+                        operator: form.elements.operator.value,
+                        value: parseFloat(form.elements.value.value),
+                        horizon: dates && dates !== 'days' ? dates : null,
+                        withinDays: dates === 'days' ? parseInt(form.elements.withinDays.value, 10) : null,
+                        match: form.elements.match.value
+                    });
+                } catch (error) {
+                    showAlert(error.message, 'error');
+                    return;
+                }
+
+                renderRuleList();
+                showAlert('Alert rule added', 'success');
+                publicApi.check(rule.city === 'all' ? AppConstants.CITIES : [rule.city]);
+            });
+        }
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Notification center loaded.');
@@ -0,0 +1,196 @@
+/**
+ * Quick Search Command Palette
+ * Keyboard-driven fuzzy search over a list of commands (Cmd/Ctrl + K)
+ */
+window.QuickSearch = (() => {
+    const MODAL_ID = 'quickSearchModal';
+    const MAX_RESULTS = 30;
+
+    // --- PRIVATE STATE ---
+    let items = [];
+    let results = [];
+    let activeIndex = 0;
+
+    // --- PRIVATE METHODS ---
+
+    /**
+     * Scores a fuzzy subsequence match of the query against the text.
+     * Consecutive characters and matches at word starts score higher.
+     * @returns {number|null} The score, or null if the query does not match.
+     */
+    function fuzzyScore(query, text) {
+        const q = query.toLowerCase();
+        const t = text.toLowerCase();
+        if (!q) return 0;
+
+        let score = 0;
+        let lastIndex = -1;
+        for (const char of q) {
+            if (char === ' ') continue;
+            const index = t.indexOf(char, lastIndex + 1);
+            if (index === -1) return null;
+
+            score += 1;
+            if (index === lastIndex + 1) score += 2;
+            if (index === 0 || /[\s_\-/]/.test(t[index - 1])) score += 3;
+            lastIndex = index;
+        }
+
+        // Prefer shorter texts for equally good matches
+        return score - t.length * 0.01;
+    }
+
+    function search(query) {
+        if (!query.trim()) return items.slice(0, MAX_RESULTS);
+
+        return items
+            .map(item => {
+                const candidates = [item.label, item.group, ...(item.keywords || [])];
+                const scores = candidates.map(text => fuzzyScore(query, String(text))).filter(s => s !== null);
+                return scores.length ? { item, score: Math.max(...scores) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_RESULTS)
+            .map(r => r.item);
+    }
+
+    function renderResults() {
+        const list = document.getElementById('quick-search-results');
+        if (!list) return;
+
+        if (results.length === 0) {
+            list.innerHTML = '<li class="quick-search-empty">No matches found</li>';
+            return;
+        }
+
+        list.innerHTML = results.map((item, index) => `
+            <li id="quick-search-option-${index}" class="quick-search-item ${index === activeIndex ? 'active' : ''}"
+                role="option" aria-selected="${index === activeIndex}" data-index="${index}">
+                <span class="quick-search-icon">${item.icon || '•'}</span>
+                <span class="quick-search-label">${item.label}</span>
+                <span class="quick-search-group">${item.group}</span>
+            </li>
+        `).join('');
+
+        document.getElementById('quick-search-input')
+            ?.setAttribute('aria-activedescendant', `quick-search-option-${activeIndex}`);
+        list.querySelector('.quick-search-item.active')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    function setActive(index) {
+        if (results.length === 0) return;
+        activeIndex = (index + results.length) % results.length;
+        renderResults();
+    }
+
+    function select(index) {
+        const item = results[index];
+        if (!item) return;
+        publicApi.close();
+        item.run();
+    }
+
+    function handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                setActive(activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                setActive(activeIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                select(activeIndex);
+                break;
+            case 'Tab':
+                // Keep focus inside the palette
+                e.preventDefault();
+                setActive(activeIndex + (e.shiftKey ? -1 : 1));
+                break;
+        }
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * Opens the palette with the given commands.
+         * @param {Array<{group: string, label: string, icon?: string, keywords?: string[], run: Function}>} commands
+         */
+        open: (commands) => {
+            if (publicApi.isOpen()) {
+                document.getElementById('quick-search-input').focus();
+                return;
+            }
+
+            publicApi.close();
+            items = commands;
+            results = search('');
+            activeIndex = 0;
+
+            const modalContainer = document.createElement('div');
+            modalContainer.innerHTML = `
+                <div id="${MODAL_ID}" class="modal-overlay quick-search-overlay">
+                    <div class="modal-content quick-search animate-scaleIn" role="dialog" aria-label="Quick search">
+                        <input type="text" id="quick-search-input" class="quick-search-input"
+                            placeholder="Search cities, report dates, segments, pages and actions..."
+                            role="combobox" aria-expanded="true" aria-controls="quick-search-results" autocomplete="off">
+                        <ul id="quick-search-results" class="quick-search-results" role="listbox"></ul>
+                        <div class="quick-search-footer">
+                            <span><kbd>↑</kbd><kbd>↓</kbd> navigate</span>
+                            <span><kbd>↵</kbd> select</span>
+                            <span><kbd>esc</kbd> close</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+            const overlay = modalContainer.firstElementChild;
+            document.body.appendChild(overlay);
+
+            const input = document.getElementById('quick-search-input');
+            const list = document.getElementById('quick-search-results');
+
+            input.addEventListener('input', () => {
+                results = search(input.value);
+                activeIndex = 0;
+                renderResults();
+            });
+            input.addEventListener('keydown', handleKeydown);
+            list.addEventListener('mousemove', (e) => {
+                const option = e.target.closest('.quick-search-item');
+                if (option && Number(option.dataset.index) !== activeIndex) setActive(Number(option.dataset.index));
+            });
+            list.addEventListener('click', (e) => {
+                const option = e.target.closest('.quick-search-item');
+                if (option) select(Number(option.dataset.index));
+            });
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) publicApi.close();
+            });
+
+            renderResults();
+            input.focus();
+        },
+
+        /**
+         * Closes the palette if it is open.
+         */
+        close: () => {
+            document.getElementById(MODAL_ID)?.remove();
+        },
+
+        /**
+         * @returns {boolean} True if the palette is currently open.
+         */
+        isOpen: () => {
+            const modal = document.getElementById(MODAL_ID);
+            return !!modal && !modal.classList.contains('modal-exit');
+        }
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Quick search loaded.');
@@ -3,13 +3,30 @@
  */
 class SharedComponents {
     /**
-     * Creates the enhanced navigation bar with theme toggle
+     * Creates the navigation links visible to the given role
      */
-    static createNavigation(currentPage = 'dashboard') {
+    static createNavLinks(currentPage = 'dashboard', role = null) {
         const navItems = [
             { id: 'dashboard', label: '📊 Dashboard', route: window.AppConstants?.ROUTES?.DASHBOARD || 'index.html' },
-            { id: 'uploader', label: '📁 Upload Data', route: window.AppConstants?.ROUTES?.UPLOADER || 'upload.html' }
+            { id: 'uploader', label: '📁 Upload Data', route: window.AppConstants?.ROUTES?.UPLOADER || 'upload.html', permission: 'UPLOAD' },
+            { id: 'history', label: '🕘 History', route: window.AppConstants?.ROUTES?.HISTORY || 'history.html' },
+            { id: 'accuracy', label: '🎯 Accuracy', route: window.AppConstants?.ROUTES?.ACCURACY || 'accuracy.html' },
+            { id: 'admin', label: '🛡️ Admin', route: window.AppConstants?.ROUTES?.ADMIN || 'admin.html', permission: 'MANAGE_USERS' }
         ];
+
+        return navItems
+            .filter(item => !item.permission || hasPermission(role, item.permission))
+            .map(item => `
+                <a href="${item.route}" class="nav-link ${currentPage === item.id ? 'active' : ''}" data-page="${item.id}">
+                    ${item.label}
+                </a>
+            `).join('');
+    }
+
+    /**
+     * Creates the enhanced navigation bar with theme toggle
+     */
+    static createNavigation(currentPage = 'dashboard', role = null) {
         const connectionStatus = window.SupabaseConfig?.isConfigured() ?
             '<span class="connection-status connected">Connected</span>' :
             '<span class="connection-status disconnected">Not Connected</span>';
@@ -23,20 +40,17 @@ class SharedComponents {
                         <p class="nav-subtitle">Forecast Intelligence Platform</p>
                     </div>
                     <div class="nav-links">
-                        ${navItems.map(item => `
-                            <a href="${item.route}" class="nav-link ${currentPage === item.id ? 'active' : ''}" data-page="${item.id}">
-                                ${item.label}
-                            </a>
-                        `).join('')}
+                        ${SharedComponents.createNavLinks(currentPage, role)}
                     </div>
                     <div class="nav-status">
                         ${connectionStatus}
                         <div class="nav-actions">
+                            ${window.AlertRules ? SharedComponents.createNotificationCenter() : ''}
                             <button onclick="window.toggleTheme()" class="theme-toggle" title="Toggle Theme">
                                 <span class="theme-icon-light">☀️</span>
                                 <span class="theme-icon-dark" style="display: none;">🌙</span>
                             </button>
-                            <button onclick="showConfigModal()" class="nav-config-btn" title="Configure Connection">
+                            <button onclick="showConfigModal()" class="nav-config-btn" title="Configure Connection" ${SharedComponents.canConfigure(role) ? '' : 'hidden'}>
                                 ⚙️
                             </button>
                         </div>
@@ -46,6 +60,45 @@ class SharedComponents {
         `;
     }
 
+    /**
+     * Creates the notification bell and its (initially hidden) panel, wired up by NotificationCenter.init()
+     */
+    static createNotificationCenter() {
+        return `
+            <div class="notification-center">
+                <button type="button" class="notification-btn" title="Notifications" aria-haspopup="true" aria-expanded="false">
+                    🔔<span class="notification-badge" hidden></span>
+                </button>
+                <div class="notification-panel" hidden></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Whether the connection settings can be changed. Before a connection is
+     * configured there is no role to check, so setup is always allowed.
+     */
+    static canConfigure(role) {
+        return !window.SupabaseConfig?.isConfigured() || hasPermission(role, 'CONFIGURE');
+    }
+
+    /**
+     * Creates a full-width access-denied state
+     */
+    static createAccessDenied(message = 'You do not have permission to view this page.') {
+        const dashboardRoute = window.AppConstants?.ROUTES?.DASHBOARD || 'index.html';
+        return `
+            <div class="empty-state animate-scaleIn">
+                <div class="empty-icon">🔒</div>
+                <h2 class="empty-title">Access Denied</h2>
+                <p class="empty-message">${message}</p>
+                <div class="empty-actions">
+                    <a href="${dashboardRoute}" class="btn btn-primary">Go to Dashboard</a>
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Creates the configuration modal window.
      */
@@ -91,21 +144,47 @@ class SharedComponents {
 
 // --- NEW HELPER FUNCTIONS ---
 
+// Cached role lookup so every caller on a page shares a single profiles query.
+let currentUserRolePromise = null;
+
+/**
+ * Returns the current user's role, fetching it once per page load.
+ * @returns {Promise<string|null>} The user's role or null.
+ */
+function getCurrentUserRole() {
+    if (!currentUserRolePromise) {
+        currentUserRolePromise = getUserRole();
+    }
+    return currentUserRolePromise;
+}
+
 /**
  * Initializes common elements for a page, like the navigation bar.
  * This function was missing, causing a critical error.
  * @param {string} currentPage - The identifier for the current page.
+ * @returns {boolean} True if the Supabase connection is configured.
  */
 function initializePage(currentPage) {
     const navContainer = document.getElementById('navigation');
     if (navContainer) {
         navContainer.innerHTML = SharedComponents.createNavigation(currentPage);
+
+        // Role-restricted links and actions are revealed once the role is known
+        getCurrentUserRole().then(role => {
+            const navLinks = navContainer.querySelector('.nav-links');
+            const configButton = navContainer.querySelector('.nav-config-btn');
+            if (navLinks && role) navLinks.innerHTML = SharedComponents.createNavLinks(currentPage, role);
+            if (configButton) configButton.hidden = !SharedComponents.canConfigure(role);
+        });
+        window.NotificationCenter?.init();
     }
     
     // Check if Supabase is configured. If not, show the config modal automatically.
-    if (!window.SupabaseConfig.isConfigured()) {
+    const isConfigured = window.SupabaseConfig.isConfigured();
+    if (!isConfigured) {
         showConfigModal(true); // `true` indicates it's the initial setup
     }
+    return isConfigured;
 }
 
 /**
@@ -113,7 +192,12 @@ function initializePage(currentPage) {
  * This function was missing.
  * @param {boolean} isInitialSetup - If true, shows a welcome message.
  */
-function showConfigModal(isInitialSetup = false) {
+async function showConfigModal(isInitialSetup = false) {
+    if (!isInitialSetup && !SharedComponents.canConfigure(await getCurrentUserRole())) {
+        showAlert('Only administrators can change the database connection.', 'error');
+        return;
+    }
+
     // Check if modal already exists
     if (!document.getElementById('configModal')) {
         const modalContainer = document.createElement('div');
@@ -0,0 +1,194 @@
+/**
+ * @file dashboard-export.js
+ * @description Exports the filtered dashboard data to .xlsx/.csv and a multi-page
+ * PDF report with the KPI cards and charts.
+ */
+
+window.DashboardExport = (() => {
+    const CHART_IDS = [
+        { id: 'forecast-comparison-chart', title: 'Forecast Comparison' },
+        { id: 'weekly-pickup-chart', title: 'Weekly Pickup Pace' },
+        { id: 'stly-variance-heatmap', title: 'Year-over-Year Performance' },
+        { id: 'segment-mix-chart', title: 'Segment Mix' }
+    ];
+    const PAGE_MARGIN = 40;
+
+    // --- PRIVATE METHODS ---
+
+    const rowKey = (row) => `${formatDate(row.forecast_date, 'iso')}|${row.market_segment}`;
+
+    function round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    function delta(primary, comparison, column) {
+        if (!primary || !comparison || primary[column] == null || comparison[column] == null) return null;
+        return round(primary[column] - comparison[column]);
+    }
+
+    function getFileName(context, extension) {
+        const parts = ['occupancy', context.city, formatDate(context.primaryDate, 'iso')];
+        if (context.secondaryDate) parts.push('vs', formatDate(context.secondaryDate, 'iso'));
+        return `${parts.join('_').replace(/[^\w.-]+/g, '_')}.${extension}`;
+    }
+
+    /**
+     * Title block lines shared by the spreadsheet summary and the PDF.
+     */
+    function getTitleBlock(context) {
+        return [
+            ['City', context.city],
+            ['As of Date', formatDate(context.primaryDate, 'long')],
+            ['Compared to', context.secondaryDate ? formatDate(context.secondaryDate, 'long') : 'No comparison'],
+            ['Market Segment', EnhancedDashboardComponents.getSegmentLabel(context.segment)],
+            ['Forecast Dates', context.filterLabel],
+            ['Exported', formatDateTime(new Date())]
+        ];
+    }
+
+    /**
+     * Reads a rendered chart as a PNG data URI with its on-screen aspect ratio.
+     */
+    async function getChartImage(chartId) {
+        const chart = EnhancedDashboardComponents.getChart(chartId);
+        const element = document.getElementById(chartId);
+        if (!chart || !element) return null;
+
+        const { imgURI } = await chart.dataURI();
+        return { imgURI, ratio: element.offsetHeight / element.offsetWidth || 0.5 };
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * Joins the primary and comparison reports by forecast date and market
+         * segment, with the change from the comparison report.
+         * @param {object[]} primary - The primary report rows.
+         * @param {object[]} secondary - The comparison report rows (may be empty).
+         * @returns {object[]} One row per forecast date and segment, keyed by column label.
+         */
+        buildRows: (primary, secondary) => {
+            const hasComparison = secondary.length > 0;
+            const primaryByKey = new Map(primary.map(row => [rowKey(row), row]));
+            const secondaryByKey = new Map(secondary.map(row => [rowKey(row), row]));
+            const segmentOrder = (segment) => AppConstants.MARKET_SEGMENTS.indexOf(segment);
+
+            const keys = [...new Set([...primaryByKey.keys(), ...secondaryByKey.keys()])];
+            return keys
+                .map(key => ({ key, current: primaryByKey.get(key), previous: secondaryByKey.get(key) }))
+                .sort((a, b) => a.key.split('|')[0].localeCompare(b.key.split('|')[0])
+                    || segmentOrder(a.key.split('|')[1]) - segmentOrder(b.key.split('|')[1]))
+                .map(({ key, current, previous }) => {
+                    const [forecastDate, segment] = key.split('|');
+                    const row = {
+                        'Forecast Date': forecastDate,
+                        'Market Segment': segment,
+                        'Occupancy (%)': current?.current_occupancy ?? null,
+                        'STLY Variance (pts)': current?.stly_variance ?? null,
+                        'Weekly Pickup': current?.weekly_pickup ?? null
+                    };
+                    if (hasComparison) {
+                        Object.assign(row, {
+                            'Comparison Occupancy (%)': previous?.current_occupancy ?? null,
+                            'Occupancy Change (pts)': delta(current, previous, 'current_occupancy'),
+                            'Comparison STLY Variance (pts)': previous?.stly_variance ?? null,
+                            'STLY Variance Change (pts)': delta(current, previous, 'stly_variance'),
+                            'Comparison Weekly Pickup': previous?.weekly_pickup ?? null,
+                            'Weekly Pickup Change': delta(current, previous, 'weekly_pickup')
+                        });
+                    }
+                    return row;
+                });
+        },
+
+        /**
+         * Downloads the filtered data as an .xlsx workbook (summary and data sheets) or a .csv file.
+         * @param {'xlsx'|'csv'} format - The file format.
+         * @param {object} context - {city, primaryDate, secondaryDate, filterLabel, segment, primary, secondary}.
+         */
+        exportSpreadsheet: (format, context) => {
+            const rows = publicApi.buildRows(context.primary, context.secondary);
+            if (rows.length === 0) throw new Error('There is no data to export.');
+
+            if (format === 'csv') {
+                const columns = Object.keys(rows[0]);
+                downloadCsv([columns, ...rows.map(row => columns.map(c => row[c]))], getFileName(context, 'csv'));
+                return;
+            }
+
+            const metrics = EnhancedDashboardComponents.getMetricCards(context.primary, context.secondary, context.segment);
+            const summary = [
+                ...getTitleBlock(context),
+                [],
+                ['Metric', 'Value', 'Detail'],
+                ...metrics.map(card => [card.title, card.value, card.trend])
+            ];
+
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summary), 'Summary');
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Forecast Data');
+            XLSX.writeFile(workbook, getFileName(context, 'xlsx'));
+        },
+
+        /**
+         * Downloads a PDF report: a title block and the KPI cards, then one chart per page.
+         * The charts must already be rendered on the dashboard.
+         * @param {object} context - {city, primaryDate, secondaryDate, filterLabel, segment, primary, secondary}.
+         * @returns {Promise<void>}
+         */
+        exportPdf: async (context) => {
+            const { jsPDF } = window.jspdf;
+            const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+            const pageWidth = doc.internal.pageSize.getWidth();
+            const pageHeight = doc.internal.pageSize.getHeight();
+            const contentWidth = pageWidth - PAGE_MARGIN * 2;
+
+            // Title block
+            doc.setFontSize(20);
+            doc.text(`Occupancy Forecast · ${context.city}`, PAGE_MARGIN, PAGE_MARGIN + 10);
+            doc.setFontSize(10);
+            getTitleBlock(context).slice(1).forEach(([label, value], i) => {
+                doc.text(`${label}: ${value}`, PAGE_MARGIN, PAGE_MARGIN + 34 + i * 14);
+            });
+
+            // KPI cards (emoji icons are left out because the PDF fonts cannot draw them)
+            const metrics = EnhancedDashboardComponents.getMetricCards(context.primary, context.secondary, context.segment);
+            const cardTop = PAGE_MARGIN + 110;
+            const cardGap = 12;
+            const cardWidth = (contentWidth - cardGap * (metrics.length - 1)) / metrics.length;
+            metrics.forEach((card, i) => {
+                const x = PAGE_MARGIN + i * (cardWidth + cardGap);
+                doc.roundedRect(x, cardTop, cardWidth, 80, 6, 6, 'S');
+                doc.setFontSize(9);
+                doc.text(card.title.toUpperCase(), x + 12, cardTop + 20);
+                doc.setFontSize(18);
+                doc.text(String(card.value), x + 12, cardTop + 46);
+                doc.setFontSize(8);
+                doc.text(doc.splitTextToSize(card.trend, cardWidth - 24), x + 12, cardTop + 64);
+            });
+
+            // One chart per page, the first below the KPI cards
+            let top = cardTop + 110;
+            for (const [i, { id, title }] of CHART_IDS.entries()) {
+                const image = await getChartImage(id);
+                if (!image) continue;
+
+                if (i > 0) {
+                    doc.addPage();
+                    top = PAGE_MARGIN;
+                }
+                const maxHeight = pageHeight - top - PAGE_MARGIN - 20;
+                const width = Math.min(contentWidth, maxHeight / image.ratio);
+                doc.setFontSize(14);
+                doc.text(title, PAGE_MARGIN, top);
+                doc.addImage(image.imgURI, 'PNG', PAGE_MARGIN, top + 12, width, width * image.ratio);
+            }
+
+            doc.save(getFileName(context, 'pdf'));
+        }
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Dashboard export loaded.');
@@ -4,13 +4,106 @@
 
 class EnhancedDashboardComponents {
 
+    // Rendered charts by container id. ApexCharts keeps every chart it renders in a
+    // registry keyed by chart.id, so a chart replaced without destroy() stays behind
+    // and ApexCharts.getChartByID() can return it instead of the current one.
+    static _charts = new Map();
+
+    /**
+     * Renders a chart into its container, keeping the instance for getChart() and clearChart().
+     * @returns {Promise} Resolves once the chart is rendered.
+     */
+    static renderChart(container, options) {
+        const chart = new ApexCharts(container, options);
+        EnhancedDashboardComponents._charts.set(container.id, chart);
+        return chart.render();
+    }
+
+    /**
+     * The chart currently rendered in a container.
+     * @returns {ApexCharts|null} Null if the container holds no chart.
+     */
+    static getChart(containerId) {
+        const chart = EnhancedDashboardComponents._charts.get(containerId);
+        return chart && chart.el === document.getElementById(containerId) ? chart : null;
+    }
+
+    /**
+     * Destroys the chart rendered in a container, if any, and empties the container.
+     */
+    static clearChart(containerId) {
+        EnhancedDashboardComponents._charts.get(containerId)?.destroy();
+        EnhancedDashboardComponents._charts.delete(containerId);
+        const container = document.getElementById(containerId);
+        if (container) container.innerHTML = '';
+    }
+
+    /**
+     * Display label for a market segment, e.g. "Group_Sold" -> "Group Sold"
+     */
+    static getSegmentLabel(segment) {
+        return segment.replace(/_/g, ' ');
+    }
+
+    /**
+     * The AppConstants.HORIZON_DEFINITIONS entry for a horizon, e.g. "Near_Term"
+     */
+    static getHorizonDefinition(horizon) {
+        const key = Object.keys(AppConstants.FORECAST_HORIZONS).find(k => AppConstants.FORECAST_HORIZONS[k] === horizon);
+        return AppConstants.HORIZON_DEFINITIONS[key];
+    }
+
+    /**
+     * Builds x-axis annotations that shade each forecast horizon. Each band runs
+     * from the first to the last of the given dates in that horizon.
+     * @param {string[]} dates - Sorted forecast dates on the chart
+     * @param {string} asOfDate - The report date the horizons are measured from
+     */
+    static getHorizonBands(dates, asOfDate) {
+        const halfDay = 12 * 60 * 60 * 1000;
+        const bands = [];
+        dates.forEach(date => {
+            const horizon = getHorizonFromDaysOut(getDaysOut(date, asOfDate));
+            const time = new Date(date).getTime();
+            const last = bands[bands.length - 1];
+            if (last && last.horizon === horizon) {
+                last.x2 = time + halfDay;
+            } else {
+                bands.push({ horizon, x: time - halfDay, x2: time + halfDay });
+            }
+        });
+
+        return bands.map(({ horizon, x, x2 }) => {
+            const definition = EnhancedDashboardComponents.getHorizonDefinition(horizon);
+            return {
+                x,
+                x2,
+                fillColor: definition.color,
+                opacity: 0.08,
+                borderColor: 'transparent',
+                label: {
+                    text: definition.label,
+                    orientation: 'horizontal',
+                    position: 'top',
+                    borderColor: definition.color,
+                    style: {
+                        color: '#fff',
+                        background: definition.color
+                    }
+                }
+            };
+        });
+    }
+
     /**
      * Creates enhanced forecast comparison chart with gradients
+     * @param {Array|null} baseline - Optional projection from BaselineForecast.build, drawn
+     * as a dashed line with its confidence band
      */
-    static async createForecastComparisonChart(containerId, primaryData, secondaryData) {
+    static async createForecastComparisonChart(containerId, primaryData, secondaryData, segment = 'Totals', baseline = null) {
         const container = document.getElementById(containerId);
         if (!container) return;
-        container.innerHTML = '';
+        EnhancedDashboardComponents.clearChart(containerId);
 
         const categories = [...new Set(primaryData.map(d => d.forecast_date))].sort();
         const series = [];
@@ -19,7 +112,7 @@ class EnhancedDashboardComponents {
         series.push({
             name: `As of ${formatDate(primaryData[0].as_of_date)}`,
             data: categories.map(date => {
-                const row = primaryData.find(d => d.forecast_date === date && d.market_segment === 'Totals');
+                const row = primaryData.find(d => d.forecast_date === date && d.market_segment === segment);
                 return row ? row.current_occupancy : null;
             }),
             color: AppConstants.COLORS.PRIMARY
@@ -30,17 +123,41 @@ class EnhancedDashboardComponents {
             series.push({
                 name: `As of ${formatDate(secondaryData[0].as_of_date)} (Comparison)`,
                 data: categories.map(date => {
-                    const row = secondaryData.find(d => d.forecast_date === date && d.market_segment === 'Totals');
+                    const row = secondaryData.find(d => d.forecast_date === date && d.market_segment === segment);
                     return row ? row.current_occupancy : null;
                 }),
                 color: AppConstants.COLORS.WARNING
             });
         }
 
+        // Baseline projection and band, mixed in as line and range-area series
+        const hasBaseline = !!baseline && baseline.some(p => p.baseline !== null);
+        if (hasBaseline) {
+            series.forEach(s => {
+                s.type = 'area';
+                s.data = categories.map((date, i) => ({ x: date, y: s.data[i] }));
+            });
+            series.push({
+                name: 'Baseline',
+                type: 'line',
+                data: baseline.map(p => ({ x: p.forecastDate, y: p.baseline === null ? null : Math.round(p.baseline * 10) / 10 })),
+                color: AppConstants.COLORS.GRAY
+            });
+            series.push({
+                name: `Baseline ${AppConstants.BASELINE.CONFIDENCE_LEVEL}% Band`,
+                type: 'rangeArea',
+                data: baseline
+                    .filter(p => p.lower !== null)
+                    .map(p => ({ x: p.forecastDate, y: [Math.round(p.lower * 10) / 10, Math.round(p.upper * 10) / 10] })),
+                color: AppConstants.COLORS.GRAY
+            });
+        }
+
         const options = {
             series: series,
             chart: {
-                type: 'area',
+                id: containerId,
+                type: hasBaseline ? 'rangeArea' : 'area',
                 height: 350,
                 toolbar: {
                     show: true,
@@ -69,8 +186,12 @@ class EnhancedDashboardComponents {
                     }
                 }
             },
+            annotations: {
+                xaxis: EnhancedDashboardComponents.getHorizonBands(categories, primaryData[0].as_of_date)
+            },
             fill: {
-                type: 'gradient',
+                type: hasBaseline ? series.map(s => s.type === 'area' ? 'gradient' : 'solid') : 'gradient',
+                opacity: hasBaseline ? series.map(s => s.type === 'rangeArea' ? 0.2 : 1) : 1,
                 gradient: {
                     shadeIntensity: 1,
                     opacityFrom: 0.7,
@@ -81,11 +202,12 @@ class EnhancedDashboardComponents {
             dataLabels: { enabled: false },
             stroke: {
                 curve: 'smooth',
-                width: 3
+                width: hasBaseline ? series.map(s => s.type === 'rangeArea' ? 0 : 3) : 3,
+                dashArray: hasBaseline ? series.map(s => s.type === 'line' ? 6 : 0) : 0
             },
             xaxis: {
                 type: 'datetime',
-                categories: categories,
+                categories: hasBaseline ? undefined : categories,
                 title: { text: 'Forecast Date' },
                 labels: {
                     style: {
@@ -94,7 +216,7 @@ class EnhancedDashboardComponents {
                 }
             },
             yaxis: {
-                title: { text: 'Total Occupancy (%)' },
+                title: { text: `${EnhancedDashboardComponents.getSegmentLabel(segment)} Occupancy (%)` },
                 labels: {
                     formatter: (val) => formatPercentage(val, 0),
                     style: {
@@ -122,19 +244,18 @@ class EnhancedDashboardComponents {
             }
         };
         
-        const chart = new ApexCharts(container, options);
-        return chart.render();
+        return EnhancedDashboardComponents.renderChart(container, options);
     }
 
     /**
      * Creates enhanced pickup pace chart with color coding
      */
-    static async createPickupPaceChart(containerId, data) {
+    static async createPickupPaceChart(containerId, data, segment = 'Totals') {
         const container = document.getElementById(containerId);
         if (!container) return;
-        container.innerHTML = '';
+        EnhancedDashboardComponents.clearChart(containerId);
 
-        const totals = data.filter(d => d.market_segment === 'Totals' && d.weekly_pickup !== 0)
+        const totals = data.filter(d => d.market_segment === segment && d.weekly_pickup !== 0)
                            .sort((a, b) => new Date(a.forecast_date) - new Date(b.forecast_date));
 
         const options = {
@@ -147,6 +268,7 @@ class EnhancedDashboardComponents {
                 }))
             }],
             chart: {
+                id: containerId,
                 type: 'bar',
                 height: 350,
                 toolbar: { show: true },
@@ -202,19 +324,18 @@ class EnhancedDashboardComponents {
             }
         };
         
-        const chart = new ApexCharts(container, options);
-        return chart.render();
+        return EnhancedDashboardComponents.renderChart(container, options);
     }
 
     /**
      * Creates enhanced STLY variance heatmap with better colors
      */
-    static async createStlyVarianceHeatmap(containerId, data) {
+    static async createStlyVarianceHeatmap(containerId, data, segment = 'Totals') {
         const container = document.getElementById(containerId);
         if (!container) return;
-        container.innerHTML = '';
+        EnhancedDashboardComponents.clearChart(containerId);
 
-        const totals = data.filter(d => d.market_segment === 'Totals');
+        const totals = data.filter(d => d.market_segment === segment);
         const seriesData = {};
         
         totals.forEach(d => {
@@ -234,6 +355,7 @@ class EnhancedDashboardComponents {
         const options = {
             series: series,
             chart: {
+                id: containerId,
                 type: 'heatmap',
                 height: 350,
                 toolbar: { show: true },
@@ -296,22 +418,775 @@ class EnhancedDashboardComponents {
             }
         };
         
-        const chart = new ApexCharts(container, options);
-        return chart.render();
+        return EnhancedDashboardComponents.renderChart(container, options);
     }
     
+    /**
+     * Creates a stacked chart of occupancy by market segment for each forecast date
+     * @param {'area'|'bar'} chartType - Stacked area or stacked bar
+     */
+    static async createSegmentMixChart(containerId, data, chartType = 'area') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        EnhancedDashboardComponents.clearChart(containerId);
+
+        const segments = AppConstants.MARKET_SEGMENTS.filter(s => s !== 'Totals');
+        const categories = [...new Set(data.map(d => d.forecast_date))].sort();
+        const rowsByKey = new Map(data.map(d => [`${d.forecast_date}|${d.market_segment}`, d]));
+
+        const series = segments.map(segment => ({
+            name: EnhancedDashboardComponents.getSegmentLabel(segment),
+            data: categories.map(date => rowsByKey.get(`${date}|${segment}`)?.current_occupancy ?? 0),
+            color: AppConstants.SEGMENT_COLORS[segment]
+        }));
+
+        const options = {
+            series: series,
+            chart: {
+                id: containerId,
+                type: chartType,
+                height: 350,
+                stacked: true,
+                toolbar: { show: true },
+                animations: {
+                    enabled: true,
+                    easing: 'easeinout',
+                    speed: 800
+                }
+            },
+            plotOptions: {
+                bar: {
+                    columnWidth: '70%'
+                }
+            },
+            fill: {
+                opacity: chartType === 'area' ? 0.6 : 1
+            },
+            dataLabels: { enabled: false },
+            stroke: {
+                curve: 'smooth',
+                width: chartType === 'area' ? 2 : 0
+            },
+            xaxis: {
+                type: 'datetime',
+                categories: categories,
+                title: { text: 'Forecast Date' },
+                labels: {
+                    style: {
+                        colors: 'var(--text-secondary)'
+                    }
+                }
+            },
+            yaxis: {
+                title: { text: 'Occupancy by Segment (%)' },
+                labels: {
+                    formatter: (val) => formatPercentage(val, 0),
+                    style: {
+                        colors: 'var(--text-secondary)'
+                    }
+                }
+            },
+            tooltip: {
+                shared: true,
+                intersect: false,
+                x: { format: 'dd MMM yyyy' },
+                y: { formatter: (val) => formatPercentage(val) },
+                theme: document.documentElement.getAttribute('data-theme') || 'light'
+            },
+            legend: {
+                position: 'top',
+                horizontalAlign: 'left',
+                labels: {
+                    colors: 'var(--text-primary)'
+                }
+            },
+            grid: {
+                borderColor: 'var(--bg-muted)',
+                strokeDashArray: 4
+            }
+        };
+
+        return EnhancedDashboardComponents.renderChart(container, options);
+    }
+
+    /**
+     * Creates a booking curve chart: occupancy against days before arrival, counting down to 0
+     * @param {Array<{name: string, points: Array<{daysOut: number, occupancy: number}>, color: string, dashed?: boolean}>} curves
+     */
+    static async createBookingCurveChart(containerId, curves) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        EnhancedDashboardComponents.clearChart(containerId);
+
+        // Plot days out as negative numbers so the curve reads left to right toward arrival
+        const options = {
+            series: curves.map(curve => ({
+                name: curve.name,
+                data: curve.points.map(p => ({ x: -p.daysOut, y: Math.round(p.occupancy * 10) / 10 })),
+                color: curve.color
+            })),
+            chart: {
+                id: containerId,
+                type: 'line',
+                height: 350,
+                toolbar: { show: true },
+                zoom: { enabled: true },
+                animations: {
+                    enabled: true,
+                    easing: 'easeinout',
+                    speed: 800
+                }
+            },
+            dataLabels: { enabled: false },
+            markers: { size: 4 },
+            stroke: {
+                curve: 'straight',
+                width: curves.map(curve => curve.dashed ? 2 : 3),
+                dashArray: curves.map(curve => curve.dashed ? 6 : 0)
+            },
+            xaxis: {
+                type: 'numeric',
+                title: { text: 'Days Before Arrival' },
+                labels: {
+                    formatter: (val) => formatNumber(Math.abs(val), 0),
+                    style: {
+                        colors: 'var(--text-secondary)'
+                    }
+                }
+            },
+            yaxis: {
+                title: { text: 'Occupancy (%)' },
+                labels: {
+                    formatter: (val) => formatPercentage(val, 0),
+                    style: {
+                        colors: 'var(--text-secondary)'
+                    }
+                }
+            },
+            tooltip: {
+                // Curves are read from different reports, so their points rarely share an x value
+                shared: false,
+                intersect: true,
+                x: { formatter: (val) => `${formatNumber(Math.abs(val), 0)} days before arrival` },
+                y: { formatter: (val) => formatPercentage(val) },
+                theme: document.documentElement.getAttribute('data-theme') || 'light'
+            },
+            legend: {
+                position: 'top',
+                horizontalAlign: 'left',
+                labels: {
+                    colors: 'var(--text-primary)'
+                }
+            },
+            grid: {
+                borderColor: 'var(--bg-muted)',
+                strokeDashArray: 4
+            }
+        };
+
+        return EnhancedDashboardComponents.renderChart(container, options);
+    }
+
+    /**
+     * Chart color for a city, falling back to the gray for cities without one
+     */
+    static getCityColor(city) {
+        return AppConstants.CITY_COLORS[city] || AppConstants.COLORS.GRAY;
+    }
+
+    /**
+     * Creates a line chart with one occupancy series per city for a single as-of date
+     * @param {Object<string, object[]>} reportsByCity - Report rows keyed by city
+     */
+    static async createCityComparisonChart(containerId, reportsByCity, segment = 'Totals') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        EnhancedDashboardComponents.clearChart(containerId);
+
+        const cities = Object.keys(reportsByCity);
+        const categories = [...new Set(cities.flatMap(city => reportsByCity[city].map(d => d.forecast_date)))].sort();
+
+        const series = cities.map(city => {
+            const rowsByDate = new Map(reportsByCity[city]
+                .filter(d => d.market_segment === segment)
+                .map(d => [d.forecast_date, d]));
+            return {
+                name: city,
+                data: categories.map(date => rowsByDate.get(date)?.current_occupancy ?? null),
+                color: EnhancedDashboardComponents.getCityColor(city)
+            };
+        });
+
+        const asOfDate = reportsByCity[cities[0]][0].as_of_date;
+
+        const options = {
+            series: series,
+            annotations: {
+                xaxis: EnhancedDashboardComponents.getHorizonBands(categories, asOfDate)
+            },
+            chart: {
+                id: containerId,
+                type: 'line',
+                height: 350,
+                toolbar: { show: true },
+                zoom: { enabled: true },
+                animations: {
+                    enabled: true,
+                    easing: 'easeinout',
+                    speed: 800
+                }
+            },
+            dataLabels: { enabled: false },
+            stroke: {
+                curve: 'smooth',
+                width: 3
+            },
+            xaxis: {
+                type: 'datetime',
+                categories: categories,
+                title: { text: 'Forecast Date' },
+                labels: {
+                    style: {
+                        colors: 'var(--text-secondary)'
+                    }
+                }
+            },
+            yaxis: {
+                title: { text: `${EnhancedDashboardComponents.getSegmentLabel(segment)} Occupancy (%)` },
+                labels: {
+                    formatter: (val) => formatPercentage(val, 0),
+                    style: {
+                        colors: 'var(--text-secondary)'
+                    }
+                }
+            },
+            tooltip: {
+                shared: true,
+                intersect: false,
+                x: { format: 'dd MMM yyyy' },
+                y: { formatter: (val) => formatPercentage(val) },
+                theme: document.documentElement.getAttribute('data-theme') || 'light'
+            },
+            legend: {
+                position: 'top',
+                horizontalAlign: 'left',
+                labels: {
+                    colors: 'var(--text-primary)'
+                }
+            },
+            grid: {
+                borderColor: 'var(--bg-muted)',
+                strokeDashArray: 4
+            }
+        };
+
+        return EnhancedDashboardComponents.renderChart(container, options);
+    }
+
+    /**
+     * Creates a city-by-forecast-month heatmap of the average STLY variance
+     * @param {Object<string, object[]>} reportsByCity - Report rows keyed by city
+     */
+    static async createCityStlyHeatmap(containerId, reportsByCity, segment = 'Totals') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        EnhancedDashboardComponents.clearChart(containerId);
+
+        const monthOf = (d) => formatDate(d.forecast_date, 'iso').substring(0, 7);
+        const cities = Object.keys(reportsByCity);
+        const months = [...new Set(cities.flatMap(city => reportsByCity[city].map(monthOf)))].sort();
+        const monthLabel = (month) => new Date(`${month.replace('-', '/')}/02`)
+            .toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+
+        // Heatmap rows are drawn bottom-up, so reverse to list the first city at the top
+        const series = cities.map(city => {
+            const variances = {};
+            reportsByCity[city]
+                .filter(d => d.market_segment === segment && d.stly_variance != null)
+                .forEach(d => (variances[monthOf(d)] = variances[monthOf(d)] || []).push(d.stly_variance));
+
+            return {
+                name: city,
+                data: months.map(month => {
+                    const values = variances[month];
+                    const average = values ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+                    return { x: monthLabel(month), y: average === null ? null : Math.round(average * 10) / 10 };
+                })
+            };
+        }).reverse();
+
+        const options = {
+            series: series,
+            chart: {
+                id: containerId,
+                type: 'heatmap',
+                height: Math.max(250, cities.length * 60),
+                toolbar: { show: true },
+                animations: {
+                    enabled: true,
+                    easing: 'easeinout',
+                    speed: 800
+                }
+            },
+            plotOptions: {
+                heatmap: {
+                    radius: 4,
+                    enableShades: true,
+                    shadeIntensity: 0.5,
+                    colorScale: {
+                        ranges: [
+                            { from: -100, to: -10, color: '#ef4444', name: 'Significantly Behind' },
+                            { from: -10, to: -5, color: '#f59e0b', name: 'Behind' },
+                            { from: -5, to: 5, color: '#10b981', name: 'On Pace' },
+                            { from: 5, to: 10, color: '#3b82f6', name: 'Ahead' },
+                            { from: 10, to: 100, color: '#8b5cf6', name: 'Significantly Ahead' }
+                        ]
+                    }
+                }
+            },
+            dataLabels: {
+                enabled: true,
+                style: {
+                    colors: ['#fff']
+                }
+            },
+            xaxis: {
+                type: 'category',
+                labels: {
+                    style: {
+                        colors: 'var(--text-secondary)'
+                    }
+                }
+            },
+            yaxis: {
+                labels: {
+                    style: {
+                        colors: 'var(--text-secondary)'
+                    }
+                }
+            },
+            title: {
+                text: 'Average Variance vs. Same Time Last Year (%)',
+                style: {
+                    color: 'var(--text-primary)'
+                }
+            },
+            tooltip: {
+                theme: document.documentElement.getAttribute('data-theme') || 'light'
+            },
+            legend: {
+                labels: {
+                    colors: 'var(--text-primary)'
+                }
+            }
+        };
+
+        return EnhancedDashboardComponents.renderChart(container, options);
+    }
+
+    /**
+     * Ranks cities by peak occupancy (ties broken by total pickup) or by total pickup
+     * @param {Object<string, object[]>} reportsByCity - Report rows keyed by city
+     * @param {'peak'|'pickup'} sortBy - The ranking metric
+     * @returns {Array<{city: string, peakOccupancy: number, peakDate: string, avgOccupancy: number, totalPickup: number, avgStlyVariance: number|null}>}
+     */
+    static getCityRankings(reportsByCity, segment = 'Totals', sortBy = 'peak') {
+        const average = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+        const rankings = Object.entries(reportsByCity)
+            .map(([city, rows]) => {
+                const totals = rows.filter(d => d.market_segment === segment);
+                if (totals.length === 0) return null;
+
+                const peak = totals.reduce((best, d) => d.current_occupancy > best.current_occupancy ? d : best);
+                return {
+                    city,
+                    peakOccupancy: peak.current_occupancy,
+                    peakDate: peak.forecast_date,
+                    avgOccupancy: average(totals.map(d => d.current_occupancy)),
+                    totalPickup: totals.reduce((sum, d) => sum + (d.weekly_pickup || 0), 0),
+                    avgStlyVariance: average(totals.filter(d => d.stly_variance != null).map(d => d.stly_variance))
+                };
+            })
+            .filter(Boolean);
+
+        const byPeak = (a, b) => b.peakOccupancy - a.peakOccupancy;
+        const byPickup = (a, b) => b.totalPickup - a.totalPickup;
+        return rankings.sort((a, b) => sortBy === 'pickup'
+            ? byPickup(a, b) || byPeak(a, b)
+            : byPeak(a, b) || byPickup(a, b));
+    }
+
+    /**
+     * Creates the ranked city table. Clicking the Peak or Pickup header re-ranks the cities.
+     * @param {Array} rankings - Rows from getCityRankings
+     * @param {'peak'|'pickup'} sortBy - The current ranking metric
+     * @param {function('peak'|'pickup')} onSort - Called when a ranking header is clicked
+     */
+    static createCityRankingTable(containerId, rankings, sortBy, onSort) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const sortClass = (key) => `sortable ${sortBy === key ? 'desc' : ''}`;
+        container.innerHTML = `
+            <table class="data-table city-ranking-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>City</th>
+                        <th class="${sortClass('peak')}" data-sort="peak">Peak Occupancy</th>
+                        <th>Peak Date</th>
+                        <th>Avg. Occupancy</th>
+                        <th class="${sortClass('pickup')}" data-sort="pickup">Total Pickup</th>
+                        <th>Avg. STLY Variance</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rankings.length ? rankings.map((row, i) => `
+                        <tr>
+                            <td>${i + 1}</td>
+                            <td><span class="city-swatch" style="background: ${EnhancedDashboardComponents.getCityColor(row.city)}"></span>${row.city}</td>
+                            <td>${formatPercentage(row.peakOccupancy)}</td>
+                            <td>${formatDate(row.peakDate)}</td>
+                            <td>${formatPercentage(row.avgOccupancy)}</td>
+                            <td>${row.totalPickup > 0 ? '+' : ''}${formatNumber(row.totalPickup, 0)}</td>
+                            <td>${row.avgStlyVariance === null ? 'N/A' : `${row.avgStlyVariance > 0 ? '+' : ''}${formatNumber(row.avgStlyVariance)} pts`}</td>
+                        </tr>
+                    `).join('') : '<tr><td colspan="7" class="table-empty">No data for this segment</td></tr>'}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('[data-sort]').forEach(th => {
+            th.addEventListener('click', () => onSort(th.dataset.sort));
+        });
+    }
+
+    /**
+     * Creates the anomaly list for a report, most severe first
+     * @param {Array} anomalies - Findings from AnomalyDetection.detect
+     * @param {string|null} previousAsOfDate - The report the changes were measured against
+     */
+    static createAnomalyTable(containerId, anomalies, previousAsOfDate, rowLimit = 50) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const metrics = AnomalyDetection.getMetrics();
+        const criticalCount = anomalies.filter(a => a.severity === 'critical').length;
+        const comparedWith = previousAsOfDate
+            ? `vs the report as of ${formatDate(previousAsOfDate, 'long')}`
+            : 'No earlier report for this city, so only occupancy and pickup limits were checked';
+        const summary = anomalies.length
+            ? `${formatNumber(anomalies.length, 0)} ${anomalies.length === 1 ? 'anomaly' : 'anomalies'}${criticalCount ? ` (${formatNumber(criticalCount, 0)} critical)` : ''} · ${comparedWith}`
+            : `No anomalies · ${comparedWith}`;
+
+        container.innerHTML = `
+            <p class="anomaly-summary">${summary}</p>
+            ${anomalies.length ? `
+                <table class="data-table anomaly-table">
+                    <thead>
+                        <tr>
+                            <th>Severity</th>
+                            <th>Stay Date</th>
+                            <th>Segment</th>
+                            <th>Check</th>
+                            <th>Detail</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${anomalies.slice(0, rowLimit).map(a => `
+                            <tr>
+                                <td><span class="anomaly-badge ${a.severity}">${a.severity === 'critical' ? 'Critical' : 'Warning'}</span></td>
+                                <td>${formatDate(a.forecastDate)}</td>
+                                <td>${EnhancedDashboardComponents.getSegmentLabel(a.segment)}</td>
+                                <td>${metrics[a.metric].label}</td>
+                                <td>${a.message}</td>
+                            </tr>
+                        `).join('')}
+                        ${anomalies.length > rowLimit ? `<tr><td colspan="5" class="table-empty">and ${formatNumber(anomalies.length - rowLimit, 0)} more</td></tr>` : ''}
+                    </tbody>
+                </table>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Creates a chart of the forecast made at a lead time against the actual occupancy
+     * @param {Array} pairs - Rows from ForecastAccuracy.pairForecasts for one city and segment
+     */
+    static async createForecastVsActualChart(containerId, pairs, leadTime) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        EnhancedDashboardComponents.clearChart(containerId);
+
+        const options = {
+            series: [
+                {
+                    name: `Forecast (${leadTime} days out)`,
+                    type: 'line',
+                    data: pairs.map(p => ({ x: p.forecastDate, y: p.forecast })),
+                    color: AppConstants.COLORS.PRIMARY
+                },
+                {
+                    name: 'Actual',
+                    type: 'line',
+                    data: pairs.map(p => ({ x: p.forecastDate, y: p.actual })),
+                    color: AppConstants.COLORS.SUCCESS
+                },
+                {
+                    name: 'Error (pts)',
+                    type: 'column',
+                    data: pairs.map(p => ({
+                        x: p.forecastDate,
+                        y: Math.round(p.error * 10) / 10,
+                        fillColor: p.error >= 0 ? AppConstants.COLORS.WARNING : AppConstants.COLORS.ERROR
+                    })),
+                    color: AppConstants.COLORS.WARNING
+                }
+            ],
+            chart: {
+                id: containerId,
+                type: 'line',
+                height: 350,
+                toolbar: { show: true },
+                zoom: { enabled: true },
+                animations: {
+                    enabled: true,
+                    easing: 'easeinout',
+                    speed: 800
+                }
+            },
+            dataLabels: { enabled: false },
+            stroke: {
+                curve: 'smooth',
+                width: [3, 3, 0]
+            },
+            xaxis: {
+                type: 'datetime',
+                title: { text: 'Stay Date' },
+                labels: {
+                    style: {
+                        colors: 'var(--text-secondary)'
+                    }
+                }
+            },
+            yaxis: [
+                {
+                    seriesName: `Forecast (${leadTime} days out)`,
+                    title: { text: 'Occupancy (%)' },
+                    labels: {
+                        formatter: (val) => formatPercentage(val, 0),
+                        style: {
+                            colors: 'var(--text-secondary)'
+                        }
+                    }
+                },
+                {
+                    seriesName: `Forecast (${leadTime} days out)`,
+                    show: false
+                },
+                {
+                    seriesName: 'Error (pts)',
+                    opposite: true,
+                    title: { text: 'Forecast − Actual (pts)' },
+                    labels: {
+                        formatter: (val) => formatNumber(val, 0),
+                        style: {
+                            colors: 'var(--text-secondary)'
+                        }
+                    }
+                }
+            ],
+            tooltip: {
+                shared: true,
+                intersect: false,
+                x: { format: 'dd MMM yyyy' },
+                theme: document.documentElement.getAttribute('data-theme') || 'light'
+            },
+            legend: {
+                position: 'top',
+                horizontalAlign: 'left',
+                labels: {
+                    colors: 'var(--text-primary)'
+                }
+            },
+            grid: {
+                borderColor: 'var(--bg-muted)',
+                strokeDashArray: 4
+            }
+        };
+
+        return EnhancedDashboardComponents.renderChart(container, options);
+    }
+
+    /**
+     * Creates a chart of how one stay date's projection changed across reports,
+     * with its actual occupancy as a reference line
+     * @param {{points: Array, actual: number|null}} drift - From ForecastAccuracy.getDrift
+     */
+    static async createForecastDriftChart(containerId, drift, stayDate) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        EnhancedDashboardComponents.clearChart(containerId);
+
+        const options = {
+            series: [{
+                name: `Projection for ${formatDate(stayDate)}`,
+                data: drift.points.map(p => ({ x: p.asOfDate, y: p.occupancy })),
+                color: AppConstants.COLORS.PURPLE
+            }],
+            chart: {
+                id: containerId,
+                type: 'line',
+                height: 350,
+                toolbar: { show: true },
+                animations: {
+                    enabled: true,
+                    easing: 'easeinout',
+                    speed: 800
+                }
+            },
+            annotations: {
+                yaxis: drift.actual === null ? [] : [{
+                    y: drift.actual,
+                    borderColor: AppConstants.COLORS.SUCCESS,
+                    strokeDashArray: 4,
+                    label: {
+                        text: `Actual ${formatPercentage(drift.actual)}`,
+                        borderColor: AppConstants.COLORS.SUCCESS,
+                        style: {
+                            color: '#fff',
+                            background: AppConstants.COLORS.SUCCESS
+                        }
+                    }
+                }]
+            },
+            dataLabels: { enabled: false },
+            markers: { size: 5 },
+            stroke: {
+                curve: 'straight',
+                width: 3
+            },
+            xaxis: {
+                type: 'datetime',
+                title: { text: 'Report As of Date' },
+                labels: {
+                    style: {
+                        colors: 'var(--text-secondary)'
+                    }
+                }
+            },
+            yaxis: {
+                title: { text: 'Projected Occupancy (%)' },
+                labels: {
+                    formatter: (val) => formatPercentage(val, 0),
+                    style: {
+                        colors: 'var(--text-secondary)'
+                    }
+                }
+            },
+            tooltip: {
+                x: { format: 'dd MMM yyyy' },
+                y: {
+                    formatter: (val, { dataPointIndex }) =>
+                        `${formatPercentage(val)} (${drift.points[dataPointIndex].daysOut} days out)`
+                },
+                theme: document.documentElement.getAttribute('data-theme') || 'light'
+            },
+            legend: {
+                show: false
+            },
+            grid: {
+                borderColor: 'var(--bg-muted)',
+                strokeDashArray: 4
+            }
+        };
+
+        return EnhancedDashboardComponents.renderChart(container, options);
+    }
+
     /**
      * Creates enhanced metric cards with animations
      */
-    static createEnhancedMetrics(containerId, data, comparisonData) {
+    static createEnhancedMetrics(containerId, data, comparisonData, segment = 'Totals') {
         const container = document.getElementById(containerId);
-        if (!container || !data || data.length === 0) {
+        if (!container) return;
+        if (!data || data.length === 0) {
             container.innerHTML = '';
             return;
         }
 
-        const totals = data.filter(d => d.market_segment === 'Totals');
-        if (totals.length === 0) return;
+        const cards = EnhancedDashboardComponents.getMetricCards(data, comparisonData, segment);
+        if (cards.length === 0) {
+            // Replaces the loading skeleton when the report has no rows for the segment
+            container.innerHTML = `<p class="empty-message">No data for ${escapeHtml(EnhancedDashboardComponents.getSegmentLabel(segment))}.</p>`;
+            return;
+        }
+
+        container.innerHTML = cards.map(card => SharedComponents.createMetricCard(card)).join('');
+        
+        // Add stagger animation to cards
+        container.classList.add('stagger-children');
+    }
+
+    /**
+     * Creates one KPI card per forecast horizon in the data
+     */
+    static createHorizonMetrics(containerId, data, segment = 'Totals') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = EnhancedDashboardComponents.getHorizonMetricCards(data, segment)
+            .map(card => SharedComponents.createMetricCard(card))
+            .join('');
+        container.classList.add('stagger-children');
+    }
+
+    /**
+     * Computes a KPI card per forecast horizon: average occupancy, with the total
+     * pickup and average STLY variance in the trend line. Horizons are measured
+     * in days out from each row's as-of date.
+     * @returns {Array<{title: string, value: string, icon: string, trend: string, color: string, horizon: string}>}
+     */
+    static getHorizonMetricCards(data, segment = 'Totals') {
+        const cardColors = { HISTORICAL: 'gray', NEAR_TERM: 'blue', MEDIUM_TERM: 'purple', LONG_TERM: 'orange' };
+        const signed = (value, decimals) => `${value > 0 ? '+' : ''}${formatNumber(value, decimals)}`;
+        const rows = data.filter(d => d.market_segment === segment);
+
+        return Object.entries(AppConstants.HORIZON_DEFINITIONS)
+            .map(([key, definition]) => {
+                const horizon = AppConstants.FORECAST_HORIZONS[key];
+                const inHorizon = rows.filter(d => getHorizonFromDaysOut(getDaysOut(d.forecast_date, d.as_of_date)) === horizon);
+                if (inHorizon.length === 0) return null;
+
+                const avgOccupancy = inHorizon.reduce((sum, d) => sum + d.current_occupancy, 0) / inHorizon.length;
+                const pickup = inHorizon.reduce((sum, d) => sum + (d.weekly_pickup || 0), 0);
+                const variances = inHorizon.filter(d => d.stly_variance != null).map(d => d.stly_variance);
+                const stly = variances.length
+                    ? `${signed(variances.reduce((sum, v) => sum + v, 0) / variances.length, 1)} pts vs STLY`
+                    : 'No STLY data';
+
+                return {
+                    title: definition.label,
+                    value: formatPercentage(avgOccupancy),
+                    icon: '🔭',
+                    trend: `${signed(pickup, 0)} rooms pickup · ${stly}`,
+                    color: cardColors[key],
+                    horizon
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Computes the KPI card configs shown by createEnhancedMetrics, so exports
+     * can reuse the same figures. For a single segment, the cards show that
+     * segment's figures plus its share of the totals.
+     * @returns {Array<{title: string, value: string|number, icon: string, trend: string, color: string, sparklineData?: number[]}>}
+     */
+    static getMetricCards(data, comparisonData, segment = 'Totals') {
+        const totals = data.filter(d => d.market_segment === segment);
+        if (totals.length === 0) return [];
 
         const peakOccupancy = Math.max(...totals.map(d => d.current_occupancy));
         const avgWeeklyPickup = totals.reduce((sum, d) => sum + d.weekly_pickup, 0) / totals.length;
@@ -322,7 +1197,7 @@ class EnhancedDashboardComponents {
         
         let highOccupancyTrend = 'vs previous report';
         if(comparisonData && comparisonData.length > 0) {
-            const comparisonTotals = comparisonData.filter(d => d.market_segment === 'Totals');
+            const comparisonTotals = comparisonData.filter(d => d.market_segment === segment);
             const oldHighOccupancyDays = comparisonTotals.filter(d => d.current_occupancy >= 80).length;
             const diff = highOccupancyDays - oldHighOccupancyDays;
             if (diff > 0) {
@@ -335,40 +1210,54 @@ class EnhancedDashboardComponents {
         }
 
         const cards = [
-            SharedComponents.createMetricCard({ 
-                title: 'City', 
+            { 
+                title: segment === 'Totals' ? 'City' : EnhancedDashboardComponents.getSegmentLabel(segment), 
                 value: data[0].city, 
                 icon: '🏙️', 
                 trend: `Report from ${formatDate(data[0].as_of_date)}`, 
                 color: 'blue' 
-            }),
-            SharedComponents.createMetricCard({ 
+            },
+            { 
                 title: 'Peak Forecast', 
                 value: formatPercentage(peakOccupancy), 
                 icon: '🏆', 
                 trend: `Highest projected occupancy`, 
                 color: 'purple',
                 sparklineData: occupancyTrend
-            }),
-            SharedComponents.createMetricCard({ 
+            },
+            { 
                 title: 'Avg. Weekly Pickup', 
                 value: formatNumber(avgWeeklyPickup, 1), 
                 icon: '📈', 
                 trend: `+${formatNumber(totals.reduce((sum, d) => sum + d.weekly_pickup, 0),0)} rooms total`, 
                 color: 'green' 
-            }),
-            SharedComponents.createMetricCard({ 
+            },
+            { 
                 title: 'High Occupancy Days', 
                 value: highOccupancyDays, 
                 icon: '🔥', 
                 trend: highOccupancyTrend, 
                 color: 'orange' 
-            })
+            }
         ];
-        
-        container.innerHTML = cards.join('');
-        
-        // Add stagger animation to cards
-        container.classList.add('stagger-children');
+
+        if (segment !== 'Totals') {
+            const sum = (rows, column) => rows.reduce((total, d) => total + (d[column] || 0), 0);
+            const allTotals = data.filter(d => d.market_segment === 'Totals');
+            const share = (column) => {
+                const whole = sum(allTotals, column);
+                return whole ? (sum(totals, column) / whole) * 100 : null;
+            };
+
+            cards.push({
+                title: 'Share of Pickup',
+                value: formatPercentage(share('weekly_pickup')),
+                icon: '🧩',
+                trend: `${formatPercentage(share('current_occupancy'))} of total occupancy`,
+                color: 'blue'
+            });
+        }
+
+        return cards;
     }
 }
\ No newline at end of file
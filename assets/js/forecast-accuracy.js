@@ -0,0 +1,169 @@
+/**
+ * @file forecast-accuracy.js
+ * @description Measures forecast accuracy from the weekly reports in occupancy_forecasts.
+ * A stay date's actual occupancy comes from the latest report in which it is Historical;
+ * earlier reports supply what was forecast 7, 14, 30 or 60 days out.
+ */
+
+window.ForecastAccuracy = (() => {
+    // --- PRIVATE METHODS ---
+
+    const stayKey = (row) => `${row.city}|${row.market_segment}|${formatDate(row.forecast_date, 'iso')}`;
+
+    const daysOut = (row) => getDaysOut(row.forecast_date, row.as_of_date);
+
+    /**
+     * Maps each city, segment and stay date to its actual occupancy, taken from the
+     * most recent report issued after the stay date.
+     */
+    function getActuals(rows) {
+        const actuals = new Map();
+        rows.forEach(row => {
+            if (row.current_occupancy == null || daysOut(row) >= 0) return;
+            const key = stayKey(row);
+            const current = actuals.get(key);
+            if (!current || row.as_of_date > current.as_of_date) actuals.set(key, row);
+        });
+        return actuals;
+    }
+
+    /**
+     * Maps each city, segment and stay date to the forecast standing in for a lead
+     * time: the latest report issued within the lead time's window.
+     */
+    function getForecastsAtLead(rows, leadTime) {
+        const maxDaysOut = leadTime + AppConstants.ACCURACY.LEAD_WINDOW_DAYS - 1;
+        const forecasts = new Map();
+        rows.forEach(row => {
+            const days = daysOut(row);
+            if (row.current_occupancy == null || days < leadTime || days > maxDaysOut) return;
+            const key = stayKey(row);
+            const current = forecasts.get(key);
+            if (!current || row.as_of_date > current.as_of_date) forecasts.set(key, row);
+        });
+        return forecasts;
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * Pairs each forecast made at a lead time with the actual occupancy of its stay date.
+         * @param {object[]} rows - Report rows across several as-of dates.
+         * @param {number} leadTime - Days before the stay date, one of AppConstants.ACCURACY.LEAD_TIMES.
+         * @returns {Array<{city: string, segment: string, forecastDate: string, asOfDate: string, daysOut: number, forecast: number, actual: number, error: number}>}
+         * Sorted by stay date. error is forecast minus actual, in occupancy points.
+         */
+        pairForecasts: (rows, leadTime) => {
+            const actuals = getActuals(rows);
+            const pairs = [];
+            getForecastsAtLead(rows, leadTime).forEach((forecast, key) => {
+                const actual = actuals.get(key);
+                if (!actual) return;
+                pairs.push({
+                    city: forecast.city,
+                    segment: forecast.market_segment,
+                    forecastDate: formatDate(forecast.forecast_date, 'iso'),
+                    asOfDate: formatDate(forecast.as_of_date, 'iso'),
+                    daysOut: daysOut(forecast),
+                    forecast: forecast.current_occupancy,
+                    actual: actual.current_occupancy,
+                    error: forecast.current_occupancy - actual.current_occupancy
+                });
+            });
+            return pairs.sort((a, b) => a.forecastDate.localeCompare(b.forecastDate));
+        },
+
+        /**
+         * Summarizes forecast errors. MAPE leaves out stay dates with zero actual occupancy.
+         * @param {object[]} pairs - Rows from pairForecasts.
+         * @returns {{count: number, mae: number|null, bias: number|null, mape: number|null}}
+         * MAE and bias in occupancy points; bias is positive when forecasts ran high.
+         */
+        summarize: (pairs) => {
+            if (pairs.length === 0) return { count: 0, mae: null, bias: null, mape: null };
+
+            const withActual = pairs.filter(p => p.actual !== 0);
+            return {
+                count: pairs.length,
+                mae: pairs.reduce((sum, p) => sum + Math.abs(p.error), 0) / pairs.length,
+                bias: pairs.reduce((sum, p) => sum + p.error, 0) / pairs.length,
+                mape: withActual.length
+                    ? (withActual.reduce((sum, p) => sum + Math.abs(p.error / p.actual), 0) / withActual.length) * 100
+                    : null
+            };
+        },
+
+        /**
+         * Computes accuracy for every city, segment and lead time in the rows.
+         * @param {object[]} rows - Report rows across several as-of dates.
+         * @returns {Array<{city: string, segment: string, leadTime: number, count: number, mae: number|null, bias: number|null, mape: number|null}>}
+         * Only groups with at least one forecast paired to an actual.
+         */
+        getAccuracyTable: (rows) => {
+            const segmentOrder = (segment) => AppConstants.MARKET_SEGMENTS.indexOf(segment);
+            const table = [];
+
+            AppConstants.ACCURACY.LEAD_TIMES.forEach(leadTime => {
+                const groups = new Map();
+                publicApi.pairForecasts(rows, leadTime).forEach(pair => {
+                    const key = `${pair.city}|${pair.segment}`;
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(pair);
+                });
+                groups.forEach((pairs, key) => {
+                    const [city, segment] = key.split('|');
+                    table.push({ city, segment, leadTime, ...publicApi.summarize(pairs) });
+                });
+            });
+
+            return table.sort((a, b) => a.city.localeCompare(b.city)
+                || segmentOrder(a.segment) - segmentOrder(b.segment)
+                || a.leadTime - b.leadTime);
+        },
+
+        /**
+         * Traces how one stay date's projection changed across successive reports.
+         * @param {object[]} rows - Report rows across several as-of dates.
+         * @param {string} city
+         * @param {string} segment
+         * @param {string} stayDate - The forecast date (YYYY-MM-DD).
+         * @returns {{points: Array<{asOfDate: string, daysOut: number, occupancy: number}>, actual: number|null}}
+         * Projections made before the stay date, oldest report first, and the actual if known.
+         */
+        getDrift: (rows, city, segment, stayDate) => {
+            const matches = rows.filter(row => row.city === city
+                && row.market_segment === segment
+                && formatDate(row.forecast_date, 'iso') === stayDate
+                && row.current_occupancy != null);
+
+            const points = matches
+                .filter(row => daysOut(row) >= 0)
+                .map(row => ({ asOfDate: formatDate(row.as_of_date, 'iso'), daysOut: daysOut(row), occupancy: row.current_occupancy }))
+                .sort((a, b) => a.asOfDate.localeCompare(b.asOfDate));
+            const actual = getActuals(matches).values().next().value;
+
+            return { points, actual: actual ? actual.current_occupancy : null };
+        },
+
+        /**
+         * Lists the stay dates forecast in at least two reports, so their drift can be traced.
+         * @param {object[]} rows - Report rows across several as-of dates.
+         * @param {string} city
+         * @param {string} segment
+         * @returns {string[]} Stay dates (YYYY-MM-DD), ascending.
+         */
+        getDriftDates: (rows, city, segment) => {
+            const reportCounts = new Map();
+            rows.forEach(row => {
+                if (row.city !== city || row.market_segment !== segment || daysOut(row) < 0) return;
+                const date = formatDate(row.forecast_date, 'iso');
+                reportCounts.set(date, (reportCounts.get(date) || 0) + 1);
+            });
+            return [...reportCounts].filter(([, count]) => count >= 2).map(([date]) => date).sort();
+        }
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Forecast accuracy loaded.');
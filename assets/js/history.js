@@ -0,0 +1,254 @@
+/**
+ * @file history.js
+ * @description Logic for the upload history page. Lists every upload from the
+ * upload history table and lets admins delete the rows of a bad import.
+ */
+
+// --- STATE MANAGEMENT ---
+const historyState = {
+    uploads: [],
+    canDelete: false,
+    searchTerm: '',
+};
+
+// --- INITIALIZATION ---
+document.addEventListener('DOMContentLoaded', async () => {
+    // Redirect to login if no session exists.
+    const supabaseClient = window.SupabaseConfig.getClient();
+    if (!supabaseClient) {
+        window.location.replace(window.AppConstants.ROUTES.LOGIN);
+        return;
+    }
+
+    const { data: { session } } = await supabaseClient.auth.getSession();
+    if (!session) {
+        window.location.replace(window.AppConstants.ROUTES.LOGIN);
+        return;
+    }
+
+    if (!initializePage('history')) return;
+
+    historyState.canDelete = hasPermission(await getCurrentUserRole(), 'DELETE_UPLOADS');
+    await loadUploads();
+});
+
+// --- DATA LOADING ---
+
+/**
+ * Fetches all uploads, newest first, and renders the history table.
+ */
+async function loadUploads() {
+    const supabaseClient = window.SupabaseConfig.getClient();
+    const container = document.getElementById('history-component-container');
+
+    container.innerHTML = `<div class="skeleton" style="height: 320px; width: 100%; border-radius: var(--radius-lg)"></div>`;
+
+    try {
+        const { data, error } = await supabaseClient
+            .from(AppConstants.DATABASE.UPLOADS_TABLE_NAME)
+            .select('*')
+            .order('uploaded_at', { ascending: false });
+
+        // Ignore "relation does not exist" so the page works before the table is created.
+        if (error && error.code !== '42P01') throw error;
+
+        historyState.uploads = data || [];
+        renderHistoryTable();
+    } catch (error) {
+        console.error('Failed to load upload history:', error);
+        showAlert(`Failed to load upload history: ${error.message}`, 'error', 0);
+        container.innerHTML = `
+            <div class="empty-state animate-scaleIn">
+                <div class="empty-icon">⚠️</div>
+                <h2 class="empty-title">Unable to load upload history</h2>
+                <p class="empty-message">${escapeHtml(error.message)}</p>
+                <div class="empty-actions">
+                    <button class="btn btn-primary" onclick="loadUploads()">Retry</button>
+                </div>
+            </div>
+        `;
+    }
+}
+
+// --- UI RENDERING ---
+
+/**
+ * Renders the upload history table.
+ */
+function renderHistoryTable() {
+    const container = document.getElementById('history-component-container');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div class="data-table-container">
+            <div class="table-header">
+                <h2 class="chart-title">🕘 Uploads (${historyState.uploads.length})</h2>
+                <div class="table-actions">
+                    <input type="search" id="history-search" class="table-search" placeholder="Search by file, user or city..." value="${escapeHtml(historyState.searchTerm)}">
+                </div>
+            </div>
+            <table class="data-table history-table">
+                <thead>
+                    <tr>
+                        <th>Uploaded</th>
+                        <th>File</th>
+                        <th>Uploaded By</th>
+                        <th>Rows</th>
+                        <th>Cities</th>
+                        <th>As of Dates</th>
+                        <th>Warnings</th>
+                        ${historyState.canDelete ? '<th></th>' : ''}
+                    </tr>
+                </thead>
+                <tbody id="history-table-body"></tbody>
+            </table>
+        </div>
+    `;
+
+    renderHistoryRows();
+
+    const search = document.getElementById('history-search');
+    search.addEventListener('input', () => {
+        historyState.searchTerm = search.value;
+        renderHistoryRows();
+    });
+}
+
+/**
+ * Renders the table rows matching the current search term.
+ */
+function renderHistoryRows() {
+    const tbody = document.getElementById('history-table-body');
+    if (!tbody) return;
+
+    const term = historyState.searchTerm.trim().toLowerCase();
+    const uploads = historyState.uploads.filter(upload => !term || [
+        ...(upload.file_names || []),
+        upload.uploaded_by_email,
+        ...(upload.cities || [])
+    ].some(value => String(value || '').toLowerCase().includes(term)));
+
+    if (uploads.length === 0) {
+        const columnCount = historyState.canDelete ? 8 : 7;
+        const message = historyState.uploads.length ? 'No uploads found' : 'Nothing has been uploaded yet';
+        tbody.innerHTML = `<tr><td colspan="${columnCount}" class="table-empty">${message}</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = uploads.map(upload => {
+        const isDeleted = !!upload.deleted_at;
+        const warnings = upload.warnings || [];
+        return `
+            <tr class="${isDeleted ? 'upload-deleted' : ''}">
+                <td>${formatDateTime(upload.uploaded_at)}</td>
+                <td>
+                    ${(upload.file_names || []).map(escapeHtml).join('<br>')}
+                    ${isDeleted ? `<span class="role-badge" title="Deleted ${formatDateTime(upload.deleted_at)}">Deleted</span>` : ''}
+                </td>
+                <td>${escapeHtml(upload.uploaded_by_email || 'Unknown')}</td>
+                <td>${formatNumber(upload.row_count, 0)}</td>
+                <td>${(upload.cities || []).map(escapeHtml).join(', ')}</td>
+                <td>${(upload.as_of_dates || []).map(d => formatDate(d)).join(', ')}</td>
+                <td>
+                    ${upload.warning_count ? `
+                        <details class="history-warnings">
+                            <summary>⚠️ ${formatNumber(upload.warning_count, 0)}</summary>
+                            <ul>${warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>
+                            ${upload.warning_count > warnings.length ? `<p>and ${formatNumber(upload.warning_count - warnings.length, 0)} more</p>` : ''}
+                        </details>
+                    ` : '—'}
+                </td>
+                ${historyState.canDelete ? `
+                    <td>
+                        <button class="btn btn-secondary btn-sm" data-delete-upload="${upload.id}" ${isDeleted ? 'disabled' : ''}>🗑️ Delete Rows</button>
+                    </td>
+                ` : ''}
+            </tr>
+        `;
+    }).join('');
+
+    tbody.querySelectorAll('[data-delete-upload]').forEach(button => {
+        button.addEventListener('click', () => handleDeleteUpload(button.dataset.deleteUpload));
+    });
+}
+
+// --- UPLOAD DELETION ---
+
+/**
+ * Asks for confirmation, then deletes every forecast row of an upload and
+ * marks the upload as deleted in the history.
+ * @param {string} uploadId - The upload batch ID.
+ */
+async function handleDeleteUpload(uploadId) {
+    const upload = historyState.uploads.find(u => u.id === uploadId);
+    if (!upload || !(await confirmDeleteUpload(upload))) return;
+
+    const supabaseClient = window.SupabaseConfig.getClient();
+    try {
+        showLoading('Deleting upload...');
+        const { error: deleteError } = await supabaseClient
+            .from(AppConstants.DATABASE.TABLE_NAME)
+            .delete()
+            .eq(AppConstants.DATABASE.BATCH_ID_COLUMN, uploadId);
+        if (deleteError) throw deleteError;
+
+        const { data: { user } } = await supabaseClient.auth.getUser();
+        const deletion = { deleted_at: new Date().toISOString(), deleted_by_email: user?.email || null };
+        const { error: updateError } = await supabaseClient
+            .from(AppConstants.DATABASE.UPLOADS_TABLE_NAME)
+            .update(deletion)
+            .eq('id', uploadId);
+        if (updateError) throw updateError;
+
+        Object.assign(upload, deletion);
+        hideLoading();
+        renderHistoryRows();
+        showAlert(`Deleted the rows uploaded from ${(upload.file_names || []).join(', ')}.`, 'success');
+    } catch (error) {
+        hideLoading();
+        console.error('Failed to delete upload:', error);
+        showAlert(`Failed to delete upload: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Shows the delete confirmation dialog.
+ * @returns {Promise<boolean>} True if the admin confirmed.
+ */
+function confirmDeleteUpload(upload) {
+    return new Promise(resolve => {
+        const overwrote = upload.upload_mode === 'replace' || upload.upload_mode === 'merge';
+
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = `
+            <div id="deleteUploadModal" class="modal-overlay">
+                <div class="modal-content animate-scaleIn">
+                    <div class="modal-header">
+                        <h2>Delete Upload?</h2>
+                        <button class="modal-close" data-confirm="">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <p>
+                            This removes all ${formatNumber(upload.row_count, 0)} rows uploaded from
+                            <strong>${escapeHtml((upload.file_names || []).join(', '))}</strong> on ${formatDateTime(upload.uploaded_at)}.
+                        </p>
+                        ${overwrote ? '<p>This upload replaced or merged over earlier data. Those earlier rows are not restored.</p>' : ''}
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" data-confirm="">Cancel</button>
+                            <button type="button" class="btn btn-primary" data-confirm="yes">Delete Rows</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-confirm]');
+            if (!button && e.target !== modal) return;
+            modal.remove();
+            resolve(!!button && button.dataset.confirm === 'yes');
+        });
+    });
+}
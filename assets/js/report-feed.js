@@ -0,0 +1,137 @@
+/**
+ * @file report-feed.js
+ * @description Announces reports as they are uploaded, so open dashboards can offer the
+ * new data without a reload. Inserted rows come from a change feed: Supabase Realtime on
+ * the forecast table by default, or a local BroadcastChannel feed that stands in for it
+ * in tests and offline development.
+ */
+
+window.ReportFeed = (() => {
+    // --- PRIVATE STATE ---
+    const listeners = new Set();
+    let source = null; // Defaults to the Supabase feed on first subscribe
+    let unsubscribeSource = null;
+    let pendingRows = [];
+    let flushTimer = null;
+
+    // --- PRIVATE METHODS ---
+
+    /**
+     * Change feed of inserts into the forecast table through Supabase Realtime.
+     * The table must be part of the supabase_realtime publication.
+     */
+    function createSupabaseSource() {
+        return {
+            subscribe: (onRow) => {
+                const client = window.SupabaseConfig.getClient();
+                if (!client) throw new Error('Supabase client is not available.');
+
+                const channel = client
+                    .channel(AppConstants.DATABASE.REALTIME_CHANNEL)
+                    .on('postgres_changes', { event: 'INSERT', schema: 'public', table: AppConstants.DATABASE.TABLE_NAME },
+                        (payload) => onRow(payload.new))
+                    .subscribe();
+                return () => client.removeChannel(channel);
+            }
+        };
+    }
+
+    /**
+     * Groups the rows received since the last flush by report and notifies the listeners.
+     */
+    function flush() {
+        flushTimer = null;
+        const reports = new Map();
+        pendingRows.forEach(row => {
+            const asOfDate = formatDate(row.as_of_date, 'iso');
+            const key = `${row.city}|${asOfDate}`;
+            if (!reports.has(key)) reports.set(key, { city: row.city, asOfDate, rowCount: 0 });
+            reports.get(key).rowCount++;
+        });
+        pendingRows = [];
+        const batch = [...reports.values()];
+        listeners.forEach(listener => listener(batch));
+    }
+
+    function handleRow(row) {
+        if (!row || !row.city || !row.as_of_date) return;
+        pendingRows.push(row);
+        clearTimeout(flushTimer);
+        flushTimer = setTimeout(flush, AppConstants.DATABASE.REALTIME_DEBOUNCE);
+    }
+
+    function connect() {
+        if (!source) source = createSupabaseSource();
+        unsubscribeSource = source.subscribe(handleRow);
+    }
+
+    function disconnect() {
+        if (unsubscribeSource) unsubscribeSource();
+        unsubscribeSource = null;
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * Calls the listener with each batch of newly uploaded reports. The feed connects
+         * with the first listener and disconnects after the last one leaves.
+         * @param {function(Array<{city: string, asOfDate: string, rowCount: number}>)} listener
+         * @returns {Function} Stops listening.
+         */
+        onNewReports: (listener) => {
+            listeners.add(listener);
+            if (listeners.size === 1) {
+                try {
+                    connect();
+                } catch (error) {
+                    listeners.delete(listener);
+                    throw error;
+                }
+            }
+            return () => {
+                listeners.delete(listener);
+                if (listeners.size === 0) disconnect();
+            };
+        },
+
+        /**
+         * Replaces the change feed, e.g. with createLocalSource() in tests. Reconnects if listening.
+         * @param {{subscribe: function(function(object)): Function}} newSource - subscribe() receives a
+         * callback for each inserted row and returns a function that unsubscribes.
+         */
+        setSource: (newSource) => {
+            const isListening = listeners.size > 0;
+            if (isListening) disconnect();
+            source = newSource;
+            if (isListening) connect();
+        },
+
+        /**
+         * A change feed over a BroadcastChannel, shared by every tab of this origin.
+         * publish() stands in for rows being inserted into the table.
+         * @param {string} [name] - The channel name.
+         * @returns {{subscribe: Function, publish: function(object[])}}
+         */
+        createLocalSource: (name = AppConstants.DATABASE.REALTIME_CHANNEL) => {
+            const channel = new BroadcastChannel(name);
+            const subscribers = new Set();
+            channel.addEventListener('message', (e) => (e.data || []).forEach(row => subscribers.forEach(onRow => onRow(row))));
+
+            return {
+                subscribe: (onRow) => {
+                    subscribers.add(onRow);
+                    return () => subscribers.delete(onRow);
+                },
+                // Delivered to this tab too, as a database insert would be
+                publish: (rows) => {
+                    channel.postMessage(rows);
+                    rows.forEach(row => subscribers.forEach(onRow => onRow(row)));
+                }
+            };
+        }
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Report feed loaded.');
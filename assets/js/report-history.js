@@ -0,0 +1,59 @@
+/**
+ * @file report-history.js
+ * @description Loads every report ever uploaded for a city, for views that look across
+ * as-of dates (baseline forecast, booking curves, forecast accuracy). Each city is
+ * fetched once per page load.
+ */
+
+window.ReportHistory = (() => {
+    // --- PRIVATE STATE ---
+    const requests = new Map(); // city -> Promise<object[]>
+    const loaded = new Map(); // city -> object[]
+
+    // --- PRIVATE METHODS ---
+
+    /**
+     * Fetches every report row for a city, with only the columns the cross-report views need.
+     */
+    function fetchHistory(city) {
+        return window.SupabaseConfig.fetchAllRows(client => client
+            .from(AppConstants.DATABASE.TABLE_NAME)
+            .select('city, as_of_date, forecast_date, market_segment, current_occupancy')
+            .eq('city', city)
+            .order('as_of_date', { ascending: true })
+            .order('forecast_date', { ascending: true }));
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * Loads every report row for a city, reusing an earlier or in-flight request.
+         * @param {string} city
+         * @returns {Promise<object[]>}
+         */
+        load: (city) => getCachedRequest(requests, city, () => fetchHistory(city).then(rows => {
+            loaded.set(city, rows);
+            return rows;
+        })),
+
+        /**
+         * @param {string} city
+         * @returns {object[]|null} The city's history if it has already loaded.
+         */
+        getLoaded: (city) => loaded.get(city) || null,
+
+        /**
+         * Drops a city's cached history, e.g. after a new report is uploaded.
+         * The next load() fetches it again.
+         * @param {string} city
+         */
+        invalidate: (city) => {
+            requests.delete(city);
+            loaded.delete(city);
+        }
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Report history loaded.');
@@ -8,12 +8,39 @@ let reportFilters = { dates: [], cities: [] };
 let primaryReportData = [];
 let secondaryReportData = [];
 let currentFilters = {};
+let filterRequestId = 0;
+let currentUserRole = null;
+let segmentMixChartType = 'area';
+let cityReportData = {};
+let cityRankingSort = 'peak';
+let baselineRequestId = 0;
+let bookingCurveDates = [];
+let bookingCurveRequestId = 0;
+let anomalyRequestId = 0;
+let stopReportFeed = null;
+let newReportOffer = null; // { city, asOfDate, otherCount } of a report uploaded while the page is open
+
+// Query string parameter for each persisted filter, used for shareable deep links
+const FILTER_URL_PARAMS = {
+    city: 'city',
+    primaryDate: 'as_of',
+    secondaryDate: 'compare',
+    preset: 'preset',
+    segment: 'segment',
+    horizon: 'horizon',
+    compareCities: 'cities'
+};
+
+// Most stay dates drawn on the booking curve at once, and their line colors
+const MAX_BOOKING_CURVE_DATES = 4;
+const BOOKING_CURVE_COLORS = [AppConstants.COLORS.PRIMARY, AppConstants.COLORS.PURPLE, AppConstants.COLORS.SUCCESS, AppConstants.COLORS.ERROR];
 
 // Filter Presets
+// Day-based presets narrow forecast dates to the window starting at the primary as-of date.
 const FILTER_PRESETS = {
-    'last_30': { label: 'Last 30 Days', days: 30 },
-    'last_60': { label: 'Last 60 Days', days: 60 },
-    'last_90': { label: 'Last 90 Days', days: 90 },
+    'next_30': { label: 'Next 30 Days', days: 30 },
+    'next_60': { label: 'Next 60 Days', days: 60 },
+    'next_90': { label: 'Next 90 Days', days: 90 },
     'peak_season': { label: 'Peak Season', custom: true }
 };
 
@@ -34,12 +61,23 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     const isConfigured = initializePage('dashboard');
     if (isConfigured) {
+        currentUserRole = await getCurrentUserRole();
+        applyRolePermissions();
+
         // Add keyboard shortcuts
         initializeKeyboardShortcuts();
         loadInitialData();
     }
 });
 
+/**
+ * Shows or hides role-restricted dashboard controls. Viewers get a read-only dashboard.
+ */
+function applyRolePermissions() {
+    const fab = document.getElementById('upload-fab');
+    if (fab) fab.hidden = !hasPermission(currentUserRole, 'UPLOAD');
+}
+
 /**
  * Initialize keyboard shortcuts
  */
@@ -52,7 +90,7 @@ function initializeKeyboardShortcuts() {
         }
         
         // Cmd/Ctrl + U for upload
-        if ((e.metaKey || e.ctrlKey) && e.key === 'u') {
+        if ((e.metaKey || e.ctrlKey) && e.key === 'u' && hasPermission(currentUserRole, 'UPLOAD')) {
             e.preventDefault();
             window.location.href = AppConstants.ROUTES.UPLOADER;
         }
@@ -72,10 +110,14 @@ function renderFilterPanel(distinctCities = [], distinctDates = []) {
     const uploaderRoute = window.AppConstants?.ROUTES?.UPLOADER || 'upload.html';
 
     const filtersHtml = `
+        ${renderNewReportBanner()}
         <div class="filter-group">
             <select id="filter_city" class="form-select" onchange="handleFilterChange()">
                 ${distinctCities.map(c => `<option value="${c}">${c}</option>`).join('')}
             </select>
+            <button id="compare-cities-btn" class="preset-btn" onclick="toggleCityCompare()" title="Overlay several cities on one as-of date">
+                🏙️ Compare Cities
+            </button>
             <select id="filter_primary_as_of_date" class="form-select" onchange="handleFilterChange()">
                 <option value="">As of Date</option>
                 ${distinctDates.map(d => `<option value="${d}">${formatDate(d, 'long')}</option>`).join('')}
@@ -84,44 +126,150 @@ function renderFilterPanel(distinctCities = [], distinctDates = []) {
                 <option value="none">-- Compare to --</option>
                 ${distinctDates.map(d => `<option value="${d}">${formatDate(d, 'long')}</option>`).join('')}
             </select>
+            <select id="filter_segment" class="form-select" onchange="setSegment(this.value)" title="Market segment">
+                ${AppConstants.MARKET_SEGMENTS.map(s => `
+                    <option value="${s}" ${getSelectedSegment() === s ? 'selected' : ''}>${EnhancedDashboardComponents.getSegmentLabel(s)}</option>
+                `).join('')}
+            </select>
+            <select id="filter_horizon" class="form-select" onchange="setHorizon(this.value)" title="Forecast horizon">
+                <option value="">All Horizons</option>
+                ${Object.entries(AppConstants.HORIZON_DEFINITIONS).map(([key, definition]) => `
+                    <option value="${AppConstants.FORECAST_HORIZONS[key]}" ${currentFilters.horizon === AppConstants.FORECAST_HORIZONS[key] ? 'selected' : ''}>${definition.label}</option>
+                `).join('')}
+            </select>
+        </div>
+
+        <div id="city-picker" class="city-picker" role="group" aria-label="Cities to compare">
+            ${getComparableCities().map(c => `
+                <label class="preset-btn">
+                    <input type="checkbox" value="${c}" onchange="handleCompareCityChange(this)">
+                    ${c}
+                </label>
+            `).join('')}
         </div>
         
         <div class="filter-presets">
             ${Object.entries(FILTER_PRESETS).map(([key, preset]) => `
-                <button class="preset-btn" data-preset="${key}" onclick="applyPreset('${key}')">
+                <button class="preset-btn ${currentFilters.preset === key ? 'active' : ''}" data-preset="${key}" onclick="applyPreset('${key}')">
                     ${preset.label}
                 </button>
             `).join('')}
+            ${hasPermission(currentUserRole, 'EDIT_SEASONS') ? `
+                <button class="preset-btn" onclick="showSeasonEditor()" title="Edit peak seasons">✏️</button>
+            ` : ''}
         </div>
 
-        <button onclick="location.href='${uploaderRoute}'" class="btn btn-primary">
-            <span>📁</span>
-            <span>Upload File</span>
+        <button onclick="showExportDialog()" class="btn btn-secondary" title="Export data and charts">
+            <span>⬇️</span>
+            <span>Export</span>
         </button>
+
+        ${hasPermission(currentUserRole, 'UPLOAD') ? `
+            <button onclick="location.href='${uploaderRoute}'" class="btn btn-primary">
+                <span>📁</span>
+                <span>Upload File</span>
+            </button>
+        ` : ''}
     `;
     container.innerHTML = filtersHtml;
 }
 
 /**
- * Apply filter preset
+ * Apply filter preset. Clicking the active preset clears it.
  */
-function applyPreset(presetKey) {
+async function applyPreset(presetKey) {
     const preset = FILTER_PRESETS[presetKey];
     if (!preset) return;
-    
+
+    const nextPreset = currentFilters.preset === presetKey ? null : presetKey;
+    saveFilters({ preset: nextPreset });
+
     // Update active state
     document.querySelectorAll('.preset-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.preset === presetKey);
+        btn.classList.toggle('active', !!nextPreset && btn.dataset.preset === nextPreset);
     });
-    
-    // Apply preset logic (this would filter the data based on the preset)
-    if (preset.custom) {
-        // Custom logic for peak season etc.
+
+    if (!hasReportData()) return;
+
+    await renderDashboard();
+    if (!nextPreset) {
+        showAlert('Showing all forecast dates', 'info');
+    } else if (preset.custom) {
         showAlert(`Applied "${preset.label}" filter`, 'info');
     } else {
-        // Date-based presets
-        showAlert(`Showing last ${preset.days} days`, 'info');
+        showAlert(`Showing the next ${preset.days} days`, 'info');
+    }
+}
+
+/**
+ * Builds a forecast_date predicate for the active preset.
+ * @returns {Function|null} Predicate over a YYYY-MM-DD date, or null when no preset applies.
+ */
+function getPresetDateFilter(presetKey, city, asOfDate) {
+    const preset = FILTER_PRESETS[presetKey];
+    if (!preset || !asOfDate) return null;
+
+    if (preset.custom) {
+        return (forecastDate) => window.SeasonCalendar.isPeakDate(city, forecastDate);
+    }
+
+    const start = formatDate(asOfDate, 'iso');
+    const endDate = new Date(start.replace(/-/g, '/'));
+    endDate.setDate(endDate.getDate() + preset.days - 1);
+    const end = formatDate(endDate, 'iso');
+
+    return (forecastDate) => forecastDate >= start && forecastDate <= end;
+}
+
+/**
+ * Builds a forecast_date predicate for a single forecast horizon, measured in days out from the as-of date.
+ * @returns {Function|null} Predicate over a YYYY-MM-DD date, or null when no horizon is selected.
+ */
+function getHorizonDateFilter(horizon, asOfDate) {
+    if (!horizon || !asOfDate) return null;
+    return (forecastDate) => getHorizonFromDaysOut(getDaysOut(forecastDate, asOfDate)) === horizon;
+}
+
+/**
+ * Combines the active preset and horizon into one forecast_date predicate.
+ * @returns {Function|null} Predicate over a YYYY-MM-DD date, or null when neither applies.
+ */
+function getDateFilter(city, asOfDate) {
+    const filters = [
+        getPresetDateFilter(currentFilters.preset, city, asOfDate),
+        getHorizonDateFilter(currentFilters.horizon, asOfDate)
+    ].filter(Boolean);
+    if (filters.length === 0) return null;
+    return (forecastDate) => filters.every(filter => filter(forecastDate));
+}
+
+/**
+ * Describes the active preset and horizon, e.g. "Next 30 Days · Near Term (0-30 days)".
+ */
+function getFilterLabel() {
+    const labels = [
+        FILTER_PRESETS[currentFilters.preset]?.label,
+        currentFilters.horizon && EnhancedDashboardComponents.getHorizonDefinition(currentFilters.horizon).label
+    ].filter(Boolean);
+    return labels.length ? labels.join(' · ') : 'All forecast dates';
+}
+
+/**
+ * Returns the loaded report data narrowed by the active preset and horizon. Both
+ * reports use the primary report's window so the comparison lines up date for date.
+ */
+function getVisibleReportData() {
+    const first = primaryReportData[0];
+    const dateFilter = first && getDateFilter(first.city, first.as_of_date);
+    if (!dateFilter) {
+        return { primary: primaryReportData, secondary: secondaryReportData };
     }
+
+    const byDate = (row) => dateFilter(formatDate(row.forecast_date, 'iso'));
+    return {
+        primary: primaryReportData.filter(byDate),
+        secondary: secondaryReportData.filter(byDate)
+    };
 }
 
 /**
@@ -136,6 +284,10 @@ async function loadInitialData() {
     
     // Show skeleton loading state
     renderSkeletonState();
+
+    // Loads alongside the report list; the first render waits for it so a restored
+    // "Peak Season" preset uses the saved calendar. The defaults apply if it fails.
+    const seasonsLoaded = window.SeasonCalendar.load().catch(error => console.warn('Failed to load season calendar:', error));
     
     try {
         const { data, error } = await supabaseClient.rpc('get_distinct_reports');
@@ -145,26 +297,682 @@ async function loadInitialData() {
         const cities = reportFilters.cities || [];
         const dates = reportFilters.dates || [];
         
+        // Restore filters from the URL first, then localStorage, dropping stale values
+        const saved = loadFilters();
+        const restored = {
+            city: cities.includes(saved.city) ? saved.city : cities[0],
+            primaryDate: dates.includes(saved.primaryDate) ? saved.primaryDate : dates[0],
+            secondaryDate: dates.includes(saved.secondaryDate) ? saved.secondaryDate : 'none',
+            preset: FILTER_PRESETS[saved.preset] ? saved.preset : null,
+            segment: AppConstants.MARKET_SEGMENTS.includes(saved.segment) ? saved.segment : null,
+            horizon: Object.values(AppConstants.FORECAST_HORIZONS).includes(saved.horizon) ? saved.horizon : null,
+            compareCities: String(saved.compareCities || '').split(',').filter(c => cities.includes(c)).join(',') || null
+        };
+        currentFilters = restored;
+
         renderFilterPanel(cities, dates);
+        window.NotificationCenter.check(cities);
+        subscribeToNewReports();
         
         if (dates.length > 0 && cities.length > 0) {
-            const latestDate = dates[0];
-            const city = cities[0];
-            
-            document.getElementById('filter_city').value = city;
-            document.getElementById('filter_primary_as_of_date').value = latestDate;
-            
-            // Save filters to localStorage
-            saveFilters({ city, primaryDate: latestDate });
+            document.getElementById('filter_city').value = restored.city;
+            document.getElementById('filter_primary_as_of_date').value = restored.primaryDate;
+            document.getElementById('filter_secondary_as_of_date').value = restored.secondaryDate;
+            updateCompareControls();
             
+            await seasonsLoaded;
             await handleFilterChange();
         } else {
             renderEmptyState();
         }
 
     } catch (error) {
-        handleError("Failed to load initial data", error);
+        handleError("Failed to load initial data", error, loadInitialData);
+    }
+}
+
+/**
+ * Listens for reports uploaded while the dashboard is open. The dashboard keeps
+ * working without live updates if the feed cannot connect.
+ */
+function subscribeToNewReports() {
+    if (stopReportFeed) return;
+    try {
+        stopReportFeed = window.ReportFeed.onNewReports(handleNewReports);
+    } catch (error) {
+        console.warn('Failed to subscribe to new reports:', error);
+    }
+}
+
+/**
+ * Adds newly uploaded reports to the filter panel, checks the alert rules and offers
+ * to switch to the newest report, preferring the city being viewed, in a banner.
+ * @param {Array<{city: string, asOfDate: string, rowCount: number}>} reports
+ */
+function handleNewReports(reports) {
+    if (reports.length === 0) return;
+
+    reportFilters = {
+        ...reportFilters,
+        cities: [...new Set([...(reportFilters.cities || []), ...reports.map(r => r.city)])].sort(),
+        dates: [...new Set([...(reportFilters.dates || []), ...reports.map(r => r.asOfDate)])].sort().reverse()
+    };
+    const cities = [...new Set(reports.map(r => r.city))];
+    cities.forEach(city => window.ReportHistory.invalidate(city));
+
+    const city = document.getElementById('filter_city')?.value;
+    const [latest] = [...reports].sort((a, b) => (b.city === city) - (a.city === city) || b.asOfDate.localeCompare(a.asOfDate));
+    newReportOffer = { city: latest.city, asOfDate: latest.asOfDate, otherCount: reports.length - 1 };
+    refreshFilterPanel();
+    window.NotificationCenter.check(cities);
+}
+
+/**
+ * Banner at the top of the filter panel offering to switch to the newest uploaded report.
+ */
+function renderNewReportBanner() {
+    if (!newReportOffer) return '';
+    const { city, asOfDate, otherCount } = newReportOffer;
+    return `
+        <div class="new-report-banner animate-fadeInDown" role="status">
+            <span>🆕 New report: <strong>${escapeHtml(city)}</strong> as of ${formatDate(asOfDate, 'long')}${otherCount > 0 ? ` and ${otherCount} more` : ''}</span>
+            <button type="button" class="btn btn-primary btn-sm" onclick="viewNewReport()">View Report</button>
+            <button type="button" class="btn btn-secondary btn-sm" onclick="dismissNewReport()" title="Dismiss" aria-label="Dismiss">×</button>
+        </div>
+    `;
+}
+
+/**
+ * Switches to the report offered by the new-report banner.
+ */
+async function viewNewReport() {
+    if (!newReportOffer) return;
+    const { city, asOfDate } = newReportOffer;
+    dismissNewReport();
+    await switchToReport(city, asOfDate);
+
+    // A failed load shows its own error and keeps the previous report
+    const loaded = primaryReportData[0];
+    if (loaded && loaded.city === city && toIsoDate(loaded.as_of_date) === asOfDate) {
+        showAlert(AppConstants.SUCCESS_MESSAGES.DATA_REFRESHED, 'success');
+    }
+}
+
+function dismissNewReport() {
+    newReportOffer = null;
+    refreshFilterPanel();
+}
+
+/**
+ * Re-renders the filter panel with the current report list, keeping the selections.
+ */
+function refreshFilterPanel() {
+    const selectIds = ['filter_city', 'filter_primary_as_of_date', 'filter_secondary_as_of_date'];
+    const selected = selectIds.map(id => document.getElementById(id)?.value);
+
+    renderFilterPanel(reportFilters.cities, reportFilters.dates);
+    selectIds.forEach((id, i) => {
+        if (selected[i]) document.getElementById(id).value = selected[i];
+    });
+    updateCompareControls();
+}
+
+/**
+ * Shows a single city's report, leaving city comparison if it is on.
+ */
+async function switchToReport(city, asOfDate) {
+    document.getElementById('filter_city').value = city;
+    document.getElementById('filter_primary_as_of_date').value = asOfDate;
+
+    if (isCityCompareMode()) {
+        await setCompareCities([]);
+        return;
+    }
+    await handleFilterChange();
+}
+
+/**
+ * Fetches every row of a single report (city + as-of date).
+ */
+function fetchReportData(city, asOfDate) {
+    return window.SupabaseConfig.fetchAllRows(client => client
+        .from(AppConstants.DATABASE.TABLE_NAME)
+        .select('*')
+        .eq('city', city)
+        .eq('as_of_date', asOfDate)
+        .order('forecast_date', { ascending: true }));
+}
+
+/**
+ * Reads the filter panel, loads the primary and comparison reports
+ * and re-renders the dashboard.
+ */
+async function handleFilterChange() {
+    const city = document.getElementById('filter_city')?.value;
+    const primaryDate = document.getElementById('filter_primary_as_of_date')?.value;
+    const secondaryDate = document.getElementById('filter_secondary_as_of_date')?.value || 'none';
+
+    if (isCityCompareMode()) {
+        await loadCityComparison(primaryDate);
+        return;
+    }
+
+    if (!city || !primaryDate) {
+        primaryReportData = [];
+        secondaryReportData = [];
+        renderEmptyState();
+        return;
+    }
+
+    saveFilters({ city, primaryDate, secondaryDate });
+
+    // Ignore responses from requests superseded by a newer filter change
+    const requestId = ++filterRequestId;
+    renderSkeletonState();
+
+    try {
+        const [primary, secondary] = await Promise.all([
+            fetchReportData(city, primaryDate),
+            secondaryDate !== 'none' && secondaryDate !== primaryDate
+                ? fetchReportData(city, secondaryDate)
+                : Promise.resolve([])
+        ]);
+        if (requestId !== filterRequestId) return;
+
+        primaryReportData = primary;
+        secondaryReportData = secondary;
+
+        if (primaryReportData.length === 0) {
+            renderEmptyState();
+            return;
+        }
+
+        await renderDashboard();
+    } catch (error) {
+        if (requestId !== filterRequestId) return;
+        handleError('Failed to load report data', error, handleFilterChange);
+    }
+}
+
+/**
+ * Loads the report of every compared city for one as-of date and renders the comparison.
+ */
+async function loadCityComparison(primaryDate) {
+    if (!primaryDate) {
+        cityReportData = {};
+        renderEmptyState();
+        return;
+    }
+
+    saveFilters({ primaryDate });
+
+    const requestId = ++filterRequestId;
+    renderSkeletonState();
+
+    try {
+        const cities = getCompareCities();
+        const reports = await Promise.all(cities.map(city => fetchReportData(city, primaryDate)));
+        if (requestId !== filterRequestId) return;
+
+        cityReportData = Object.fromEntries(cities
+            .map((city, i) => [city, reports[i]])
+            .filter(([, rows]) => rows.length > 0));
+
+        if (Object.keys(cityReportData).length === 0) {
+            renderEmptyState(false, null, `None of the selected cities have a report as of ${formatDate(primaryDate, 'long')}.`);
+            return;
+        }
+
+        await renderDashboard();
+    } catch (error) {
+        if (requestId !== filterRequestId) return;
+        handleError('Failed to load city comparison', error, handleFilterChange);
+    }
+}
+
+/**
+ * Whether report data is loaded for the current mode.
+ */
+function hasReportData() {
+    return isCityCompareMode() ? Object.keys(cityReportData).length > 0 : primaryReportData.length > 0;
+}
+
+/**
+ * Renders KPI cards and charts from the loaded report data
+ */
+async function renderDashboard() {
+    if (isCityCompareMode()) {
+        await renderCityComparison();
+        return;
+    }
+
+    const { primary, secondary } = getVisibleReportData();
+
+    if (primary.length === 0) {
+        renderEmptyState(false, null, `No forecast dates in the report fall within "${getFilterLabel()}".`);
+        return;
+    }
+
+    const segment = getSelectedSegment();
+    EnhancedDashboardComponents.createEnhancedMetrics('kpi-container', primary, secondary, segment);
+    EnhancedDashboardComponents.createHorizonMetrics('horizon-kpi-container', primary, segment);
+
+    // Draw the baseline straight away if the city's history is cached, otherwise add it
+    // once loaded. Either way, a baseline still loading for an earlier render is dropped.
+    const history = window.ReportHistory.getLoaded(primary[0].city);
+    const baseline = history && window.BaselineForecast.build(history, primary, segment);
+    baselineRequestId++;
+    if (!history) renderBaseline(primary, secondary, segment);
+
+    await Promise.all([
+        EnhancedDashboardComponents.createForecastComparisonChart('forecast-comparison-chart', primary, secondary, segment, baseline),
+        EnhancedDashboardComponents.createPickupPaceChart('weekly-pickup-chart', primary, segment),
+        EnhancedDashboardComponents.createStlyVarianceHeatmap('stly-variance-heatmap', primary, segment),
+        EnhancedDashboardComponents.createSegmentMixChart('segment-mix-chart', primary, segmentMixChartType)
+    ]);
+    renderBookingCurve();
+    renderAnomalies();
+}
+
+/**
+ * Loads the city's report history in the background, then redraws the forecast
+ * comparison chart with the baseline projection. The dashboard does not wait for it.
+ */
+async function renderBaseline(primary, secondary, segment) {
+    const requestId = baselineRequestId;
+    try {
+        const history = await window.ReportHistory.load(primary[0].city);
+        if (requestId !== baselineRequestId) return;
+
+        const baseline = window.BaselineForecast.build(history, primary, segment);
+        if (baseline.every(p => p.baseline === null)) return;
+        await EnhancedDashboardComponents.createForecastComparisonChart('forecast-comparison-chart', primary, secondary, segment, baseline);
+    } catch (error) {
+        console.warn('Failed to load the baseline forecast:', error);
+    }
+}
+
+/**
+ * Checks the whole primary report against the city's previous report and lists the
+ * anomalies. The previous report is loaded in the background the first time.
+ */
+async function renderAnomalies() {
+    const container = document.getElementById('anomaly-table');
+    if (!container || primaryReportData.length === 0) return;
+
+    const { city, as_of_date: asOfDate } = primaryReportData[0];
+    const requestId = ++anomalyRequestId;
+    try {
+        const previous = await window.AnomalyDetection.loadPreviousReport(city, asOfDate);
+        if (requestId !== anomalyRequestId) return;
+
+        const anomalies = window.AnomalyDetection.detect(primaryReportData, previous ? previous.rows : []);
+        EnhancedDashboardComponents.createAnomalyTable('anomaly-table', anomalies, previous ? previous.asOfDate : null);
+    } catch (error) {
+        console.error('Failed to check for anomalies:', error);
+        if (requestId === anomalyRequestId) {
+            container.innerHTML = `<p class="empty-message">Unable to load the previous report: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+}
+
+/**
+ * Show the anomaly threshold editor. Thresholds are saved in this browser only.
+ */
+function showAnomalySettings() {
+    document.getElementById('anomalyModal')?.remove();
+
+    const metrics = window.AnomalyDetection.getMetrics();
+    const modalContainer = document.createElement('div');
+    modalContainer.innerHTML = `
+        <div id="anomalyModal" class="modal-overlay">
+            <div class="modal-content animate-scaleIn">
+                <div class="modal-header">
+                    <h2>Anomaly Thresholds</h2>
+                    <button class="modal-close" onclick="closeAllModals()">×</button>
+                </div>
+                <div class="modal-body">
+                    <p>A value is flagged once it reaches its threshold, and marked critical at ${AppConstants.ANOMALY.CRITICAL_MULTIPLIER}× the threshold.</p>
+                    <form id="anomaly-form">
+                        ${Object.entries(metrics).map(([metric, config]) => `
+                            <div class="form-group">
+                                <label class="form-label" for="anomaly-${metric}">${config.label} (${config.unit})</label>
+                                <input type="number" class="form-input" id="anomaly-${metric}" name="${metric}" value="${config.threshold}" min="0" step="any" required>
+                                <small class="form-help">${config.description}. Default ${AppConstants.ANOMALY.METRICS[metric].threshold}.</small>
+                            </div>
+                        `).join('')}
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" data-action="reset">Reset to Defaults</button>
+                            <button type="button" class="btn btn-secondary" onclick="closeAllModals()">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Save Thresholds</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modalContainer.firstElementChild);
+
+    const form = document.getElementById('anomaly-form');
+    form.querySelector('[data-action="reset"]').addEventListener('click', () => {
+        Object.entries(AppConstants.ANOMALY.METRICS).forEach(([metric, config]) => {
+            form.elements[metric].value = config.threshold;
+        });
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const thresholds = Object.fromEntries(Object.keys(metrics).map(metric => [metric, form.elements[metric].value]));
+        try {
+            window.AnomalyDetection.saveThresholds(thresholds);
+        } catch (error) {
+            showAlert(error.message, 'error');
+            return;
+        }
+        closeAllModals();
+        showAlert('Anomaly thresholds saved', 'success');
+        renderAnomalies();
+    });
+}
+
+/**
+ * Renders the booking curve picker and chart for the selected stay dates. Defaults to
+ * the first stay date on or after the as-of date. The city's report history is loaded
+ * in the background the first time.
+ */
+async function renderBookingCurve() {
+    const { primary } = getVisibleReportData();
+    const chartId = 'booking-curve-chart';
+    if (primary.length === 0) return;
+
+    const { city, as_of_date: asOfDate } = primary[0];
+    const segment = getSelectedSegment();
+    const stayDates = [...new Set(primary
+        .filter(row => row.market_segment === segment && getDaysOut(row.forecast_date, asOfDate) >= 0)
+        .map(row => formatDate(row.forecast_date, 'iso')))].sort();
+
+    bookingCurveDates = bookingCurveDates.filter(date => stayDates.includes(date));
+    if (bookingCurveDates.length === 0 && stayDates.length > 0) bookingCurveDates = [stayDates[0]];
+    renderBookingCurveControls(stayDates);
+
+    const container = document.getElementById(chartId);
+    if (bookingCurveDates.length === 0) {
+        container.innerHTML = '<p class="empty-message">No upcoming stay dates in this report.</p>';
+        return;
+    }
+
+    const requestId = ++bookingCurveRequestId;
+    let history = window.ReportHistory.getLoaded(city);
+    if (!history) {
+        container.innerHTML = `<div class="skeleton" style="height: 300px; width: 100%; border-radius: var(--radius-md)"></div>`;
+        try {
+            history = await window.ReportHistory.load(city);
+        } catch (error) {
+            console.error('Failed to load report history:', error);
+            if (requestId === bookingCurveRequestId) {
+                container.innerHTML = `<p class="empty-message">Unable to load earlier reports: ${escapeHtml(error.message)}</p>`;
+            }
+            return;
+        }
+        if (requestId !== bookingCurveRequestId) return;
+    }
+
+    // The comparable-date and last-year curves are drawn for the first selected stay date
+    const [firstDate] = bookingCurveDates;
+    const comparable = window.BookingCurve.getComparableCurve(history, firstDate, segment);
+    const stly = window.BookingCurve.getStlyCurve(history, firstDate, segment);
+    const curves = bookingCurveDates.map((date, i) => ({
+        name: formatDate(date),
+        points: window.BookingCurve.getCurve(history, date, segment),
+        color: BOOKING_CURVE_COLORS[i]
+    }));
+    if (comparable.points.length > 0) {
+        curves.push({ name: `Comparable dates avg. (${comparable.dateCount})`, points: comparable.points, color: AppConstants.COLORS.GRAY, dashed: true });
+    }
+    if (stly.points.length > 0) {
+        curves.push({ name: `Last year (${formatDate(stly.stayDate)})`, points: stly.points, color: AppConstants.COLORS.WARNING, dashed: true });
+    }
+
+    await EnhancedDashboardComponents.createBookingCurveChart(chartId, curves);
+}
+
+/**
+ * Renders the selected stay dates as removable chips and a picker to add another.
+ * @param {string[]} stayDates - Stay dates that can be picked (YYYY-MM-DD).
+ */
+function renderBookingCurveControls(stayDates) {
+    const controls = document.getElementById('booking-curve-controls');
+    if (!controls) return;
+
+    const canAdd = bookingCurveDates.length < MAX_BOOKING_CURVE_DATES;
+    controls.innerHTML = `
+        ${bookingCurveDates.map(date => `
+            <button class="preset-btn active" data-remove-date="${date}" title="Remove ${formatDate(date)}" ${bookingCurveDates.length === 1 ? 'disabled' : ''}>${formatDate(date)} ×</button>
+        `).join('')}
+        ${canAdd ? `
+            <select class="form-select" id="booking-curve-date" title="Add a stay date">
+                <option value="">+ Stay date</option>
+                ${stayDates.filter(date => !bookingCurveDates.includes(date)).map(date => `
+                    <option value="${date}">${formatDate(date)}</option>
+                `).join('')}
+            </select>
+        ` : ''}
+    `;
+
+    controls.querySelectorAll('[data-remove-date]').forEach(button => {
+        button.addEventListener('click', () => {
+            bookingCurveDates = bookingCurveDates.filter(date => date !== button.dataset.removeDate);
+            renderBookingCurve();
+        });
+    });
+    document.getElementById('booking-curve-date')?.addEventListener('change', (e) => {
+        if (!e.target.value) return;
+        bookingCurveDates = [...bookingCurveDates, e.target.value];
+        renderBookingCurve();
+    });
+}
+
+/**
+ * The market segment shown by the KPI cards and charts. Defaults to Totals.
+ */
+function getSelectedSegment() {
+    return currentFilters.segment || 'Totals';
+}
+
+/**
+ * Switches the KPI cards and charts to a market segment.
+ */
+async function setSegment(segment) {
+    if (!AppConstants.MARKET_SEGMENTS.includes(segment)) return;
+
+    saveFilters({ segment: segment === 'Totals' ? null : segment });
+    const select = document.getElementById('filter_segment');
+    if (select) select.value = segment;
+
+    if (hasReportData()) await renderDashboard();
+}
+
+/**
+ * Narrows the whole dashboard to one forecast horizon, or clears the horizon filter.
+ * @param {string} horizon - A value of AppConstants.FORECAST_HORIZONS, or '' for all horizons.
+ */
+async function setHorizon(horizon) {
+    const nextHorizon = Object.values(AppConstants.FORECAST_HORIZONS).includes(horizon) ? horizon : null;
+    saveFilters({ horizon: nextHorizon });
+    const select = document.getElementById('filter_horizon');
+    if (select) select.value = nextHorizon || '';
+
+    if (hasReportData()) await renderDashboard();
+}
+
+/**
+ * Cities that can be compared: the reported cities in AppConstants.CITIES order,
+ * followed by any others.
+ */
+function getComparableCities() {
+    const cities = reportFilters.cities || [];
+    const known = AppConstants.CITIES.filter(c => cities.includes(c));
+    return [...known, ...cities.filter(c => !known.includes(c))];
+}
+
+/**
+ * The cities being compared, or an empty list when comparison mode is off.
+ */
+function getCompareCities() {
+    const cities = reportFilters.cities || [];
+    return String(currentFilters.compareCities || '').split(',').filter(c => cities.includes(c));
+}
+
+function isCityCompareMode() {
+    return getCompareCities().length > 0;
+}
+
+/**
+ * Syncs the compare toggle, city checkboxes and disabled selects with the filters.
+ * The city and comparison date selects do not apply while comparing cities.
+ */
+function updateCompareControls() {
+    const isComparing = isCityCompareMode();
+    const selected = getCompareCities();
+
+    document.getElementById('dashboard-main')?.classList.toggle('city-compare-mode', isComparing);
+    document.getElementById('compare-cities-btn')?.classList.toggle('active', isComparing);
+    document.querySelectorAll('#city-picker input').forEach(input => {
+        input.checked = selected.includes(input.value);
+    });
+    ['filter_city', 'filter_secondary_as_of_date'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.disabled = isComparing;
+    });
+}
+
+/**
+ * Compares the given cities on the primary as-of date, or returns to the
+ * single-city dashboard when the list is empty.
+ * @param {string[]} cities
+ */
+async function setCompareCities(cities) {
+    saveFilters({ compareCities: cities.length ? cities.join(',') : null });
+    updateCompareControls();
+    await handleFilterChange();
+}
+
+/**
+ * Turns city comparison on (with every reported city) or off.
+ */
+function toggleCityCompare() {
+    return setCompareCities(isCityCompareMode() ? [] : getComparableCities());
+}
+
+/**
+ * Adds or removes a city from the comparison. At least one city stays selected.
+ */
+function handleCompareCityChange(checkbox) {
+    const cities = [...document.querySelectorAll('#city-picker input:checked')].map(input => input.value);
+    if (cities.length === 0) {
+        checkbox.checked = true;
+        showAlert('Select at least one city to compare', 'warning');
+        return;
+    }
+    return setCompareCities(cities);
+}
+
+/**
+ * Returns the compared cities' reports narrowed by the active preset and horizon.
+ * Each city uses its own peak seasons.
+ */
+function getVisibleCityReports() {
+    const visible = {};
+    Object.entries(cityReportData).forEach(([city, rows]) => {
+        const dateFilter = getDateFilter(city, rows[0].as_of_date);
+        const filtered = dateFilter ? rows.filter(row => dateFilter(formatDate(row.forecast_date, 'iso'))) : rows;
+        if (filtered.length > 0) visible[city] = filtered;
+    });
+    return visible;
+}
+
+/**
+ * Renders the city comparison chart, rankings and STLY heatmap.
+ */
+async function renderCityComparison() {
+    const reports = getVisibleCityReports();
+    if (Object.keys(reports).length === 0) {
+        renderEmptyState(false, null, `No forecast dates in the selected cities' reports fall within "${getFilterLabel()}".`);
+        return;
+    }
+
+    const segment = getSelectedSegment();
+    const kpiContainer = document.getElementById('kpi-container');
+    kpiContainer.classList.remove('stagger-children');
+    kpiContainer.innerHTML = '';
+
+    renderCityRankings(reports);
+    await Promise.all([
+        EnhancedDashboardComponents.createCityComparisonChart('city-comparison-chart', reports, segment),
+        EnhancedDashboardComponents.createCityStlyHeatmap('city-stly-heatmap', reports, segment)
+    ]);
+}
+
+/**
+ * Renders the ranked city table for the current ranking metric.
+ */
+function renderCityRankings(reports = getVisibleCityReports()) {
+    const rankings = EnhancedDashboardComponents.getCityRankings(reports, getSelectedSegment(), cityRankingSort);
+    EnhancedDashboardComponents.createCityRankingTable('city-ranking-table', rankings, cityRankingSort, (sortBy) => {
+        cityRankingSort = sortBy;
+        renderCityRankings();
+    });
+}
+
+/**
+ * Switches the segment mix chart between stacked area and stacked bar.
+ */
+async function setSegmentMixChartType(chartType) {
+    segmentMixChartType = chartType;
+    document.querySelectorAll('[data-chart-type]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.chartType === chartType);
+    });
+
+    const { primary } = getVisibleReportData();
+    if (primary.length > 0) {
+        await EnhancedDashboardComponents.createSegmentMixChart('segment-mix-chart', primary, chartType);
+    }
+}
+
+/**
+ * Render empty or error state in place of the KPI cards and charts
+ */
+function renderEmptyState(isError = false, retryCallback = null, customMessage = null) {
+    const kpiContainer = document.getElementById('kpi-container');
+    const chartContainers = document.querySelectorAll('.chart-canvas');
+    if (!kpiContainer) return;
+
+    const uploaderRoute = window.AppConstants?.ROUTES?.UPLOADER || 'upload.html';
+    const title = isError ? 'Unable to load data' : 'No data available';
+    const message = customMessage || (isError
+        ? 'Something went wrong while loading the report. Check your connection and try again.'
+        : 'There is no forecast data for the selected city and report date. Pick another report or upload a new file.');
+
+    kpiContainer.classList.remove('stagger-children');
+    kpiContainer.innerHTML = `
+        <div class="empty-state animate-scaleIn">
+            <div class="empty-icon">${isError ? '⚠️' : '📭'}</div>
+            <h2 class="empty-title">${title}</h2>
+            <p class="empty-message">${message}</p>
+            <div class="empty-actions">
+                ${retryCallback ? '<button type="button" class="btn btn-primary" data-action="retry">Retry</button>' : ''}
+                <a href="${uploaderRoute}" class="btn btn-secondary">Upload File</a>
+            </div>
+        </div>
+    `;
+
+    if (retryCallback) {
+        kpiContainer.querySelector('[data-action="retry"]').addEventListener('click', retryCallback);
     }
+
+    chartContainers.forEach(container => EnhancedDashboardComponents.clearChart(container.id));
+    document.getElementById('horizon-kpi-container')?.replaceChildren();
+    document.getElementById('booking-curve-controls')?.replaceChildren();
 }
 
 /**
@@ -183,36 +991,339 @@ function renderSkeletonState() {
         </div>
     `).join('');
     
+    document.getElementById('horizon-kpi-container')?.replaceChildren();
+
     // Chart skeletons
     chartContainers.forEach(container => {
+        EnhancedDashboardComponents.clearChart(container.id);
         container.innerHTML = `<div class="skeleton" style="height: 300px; width: 100%; border-radius: var(--radius-md)"></div>`;
     });
 }
 
 /**
- * Save filters to localStorage
+ * Save filters to localStorage and mirror them in the URL
  */
 function saveFilters(filters) {
     currentFilters = { ...currentFilters, ...filters };
-    localStorage.setItem('dashboardFilters', JSON.stringify(currentFilters));
+    localStorage.setItem(AppConstants.STORAGE_KEYS.LAST_FILTERS, JSON.stringify(currentFilters));
+    syncFiltersToUrl();
 }
 
 /**
- * Load filters from localStorage
+ * Load filters from the URL query string, falling back to localStorage
+ * for any filter the URL does not specify.
+ * @returns {object} The merged filters.
  */
 function loadFilters() {
-    const saved = localStorage.getItem('dashboardFilters');
-    if (saved) {
-        currentFilters = JSON.parse(saved);
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(AppConstants.STORAGE_KEYS.LAST_FILTERS)) || {};
+    } catch (error) {
+        console.warn('Ignoring malformed saved filters:', error);
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const fromUrl = {};
+    Object.entries(FILTER_URL_PARAMS).forEach(([key, param]) => {
+        if (params.has(param)) fromUrl[key] = params.get(param);
+    });
+
+    return { ...stored, ...fromUrl };
+}
+
+/**
+ * Replaces the query string with the current filters so the URL can be shared
+ */
+function syncFiltersToUrl() {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(FILTER_URL_PARAMS).forEach(([key, param]) => {
+        const value = currentFilters[key];
+        if (value && value !== 'none') {
+            params.set(param, value);
+        } else {
+            params.delete(param);
+        }
+    });
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    window.history.replaceState(null, '', url);
+}
+
+/**
+ * Show the peak-season editor for the selected city
+ */
+function showSeasonEditor() {
+    const city = document.getElementById('filter_city')?.value;
+    if (!city || !hasPermission(currentUserRole, 'EDIT_SEASONS')) return;
+
+    document.getElementById('seasonModal')?.remove();
+
+    const renderRow = (season = { name: '', start: '', end: '' }) => `
+        <div class="season-row">
+            <input type="text" class="form-input" name="name" placeholder="Season name" value="${escapeHtml(season.name)}" required>
+            <input type="text" class="form-input" name="start" placeholder="MM-DD" value="${escapeHtml(season.start)}" pattern="\\d{2}-\\d{2}" required>
+            <input type="text" class="form-input" name="end" placeholder="MM-DD" value="${escapeHtml(season.end)}" pattern="\\d{2}-\\d{2}" required>
+            <button type="button" class="btn btn-secondary btn-sm" data-action="remove-season" title="Remove">×</button>
+        </div>
+    `;
+
+    const modalContainer = document.createElement('div');
+    modalContainer.innerHTML = `
+        <div id="seasonModal" class="modal-overlay">
+            <div class="modal-content animate-scaleIn">
+                <div class="modal-header">
+                    <h2>Peak Seasons · ${city}</h2>
+                    <button class="modal-close" onclick="closeAllModals()">×</button>
+                </div>
+                <div class="modal-body">
+                    <p>Recurring date ranges used by the "Peak Season" preset. Ranges may wrap the year end (e.g. 12-15 to 01-05).</p>
+                    <form id="season-form">
+                        <div id="season-rows">
+                            ${window.SeasonCalendar.getSeasons(city).map(renderRow).join('')}
+                        </div>
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="add-season">+ Add Season</button>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" onclick="closeAllModals()">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Save Seasons</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modalContainer.firstElementChild);
+
+    const form = document.getElementById('season-form');
+    const rowsContainer = document.getElementById('season-rows');
+
+    form.addEventListener('click', (e) => {
+        const action = e.target.dataset.action;
+        if (action === 'add-season') {
+            rowsContainer.insertAdjacentHTML('beforeend', renderRow());
+        } else if (action === 'remove-season') {
+            e.target.closest('.season-row').remove();
+        }
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const ranges = [...rowsContainer.querySelectorAll('.season-row')].map(row => ({
+            name: row.querySelector('[name="name"]').value,
+            start: row.querySelector('[name="start"]').value.trim(),
+            end: row.querySelector('[name="end"]').value.trim()
+        }));
+
+        showLoading('Saving peak seasons...');
+        try {
+            await window.SeasonCalendar.saveSeasons(city, ranges);
+            hideLoading();
+            closeAllModals();
+            showAlert(`Peak seasons saved for ${city}`, 'success');
+            if (currentFilters.preset === 'peak_season') await renderDashboard();
+        } catch (error) {
+            hideLoading();
+            showAlert(`Failed to save peak seasons: ${error.message}`, 'error', 8000);
+        }
+    });
+}
+
+// Export formats offered by the export dialog
+const EXPORT_FORMATS = {
+    xlsx: { icon: '📗', label: 'Excel (.xlsx)', description: 'Summary sheet and the forecast data with changes vs the comparison report.' },
+    csv: { icon: '📄', label: 'CSV (.csv)', description: 'The forecast data with changes vs the comparison report.' },
+    pdf: { icon: '📕', label: 'PDF report', description: 'Title block, KPI cards and every dashboard chart.' }
+};
+
+/**
+ * Shows the export dialog for the data currently on the dashboard.
+ */
+function showExportDialog() {
+    closeAllModals();
+
+    if (isCityCompareMode()) {
+        showAlert('Export covers a single city. Turn off city comparison to export.', 'info');
+        return;
+    }
+
+    const { primary } = getVisibleReportData();
+    if (primary.length === 0) {
+        showAlert('There is no data to export. Pick a report first.', 'warning');
+        return;
+    }
+
+    const modalContainer = document.createElement('div');
+    modalContainer.innerHTML = `
+        <div id="exportModal" class="modal-overlay">
+            <div class="modal-content animate-scaleIn">
+                <div class="modal-header">
+                    <h2>Export Dashboard</h2>
+                    <button class="modal-close" onclick="closeAllModals()">×</button>
+                </div>
+                <div class="modal-body">
+                    <p>Exports the forecast dates currently shown for ${primary[0].city}.</p>
+                    <div class="export-options">
+                        ${Object.entries(EXPORT_FORMATS).map(([format, config]) => `
+                            <button type="button" class="export-option" data-format="${format}">
+                                <span class="export-option-title">${config.icon} ${config.label}</span>
+                                <span class="export-option-description">${config.description}</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    const modal = modalContainer.firstElementChild;
+    document.body.appendChild(modal);
+
+    modal.querySelectorAll('[data-format]').forEach(button => {
+        button.addEventListener('click', () => exportDashboard(button.dataset.format));
+    });
+}
+
+/**
+ * Exports the visible report data in the given format.
+ * @param {'xlsx'|'csv'|'pdf'} format
+ */
+async function exportDashboard(format) {
+    const { primary, secondary } = getVisibleReportData();
+    const context = {
+        city: primary[0].city,
+        primaryDate: primary[0].as_of_date,
+        secondaryDate: secondary.length ? secondary[0].as_of_date : null,
+        filterLabel: getFilterLabel(),
+        segment: getSelectedSegment(),
+        primary,
+        secondary
+    };
+
+    closeAllModals();
+    try {
+        if (format === 'pdf') {
+            showLoading('Building PDF report...');
+            await window.DashboardExport.exportPdf(context);
+            hideLoading();
+        } else {
+            window.DashboardExport.exportSpreadsheet(format, context);
+        }
+        showAlert(`Exported ${EXPORT_FORMATS[format].label}`, 'success');
+    } catch (error) {
+        hideLoading();
+        console.error('Export failed:', error);
+        showAlert(`Export failed: ${error.message}`, 'error');
     }
 }
 
 /**
- * Show quick search modal
+ * Show quick search command palette
  */
 function showQuickSearch() {
-    // Implementation for quick search modal
-    showAlert('Quick search coming soon! Press Cmd/Ctrl + K', 'info');
+    window.QuickSearch.open(buildQuickSearchCommands());
+}
+
+/**
+ * Builds the command list for the quick search palette from the loaded
+ * report filters, market segments, routes and dashboard actions.
+ */
+function buildQuickSearchCommands() {
+    const commands = [];
+    const cities = reportFilters.cities || [];
+    const dates = reportFilters.dates || [];
+    const toTitle = (key) => key.toLowerCase().replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+    cities.forEach(city => commands.push({
+        group: 'City',
+        icon: '🏙️',
+        label: city,
+        run: () => {
+            if (!isCityCompareMode()) return setFilterValue('filter_city', city);
+            document.getElementById('filter_city').value = city;
+            return setCompareCities([]);
+        }
+    }));
+
+    dates.forEach(date => {
+        const keywords = [date, formatDate(date, 'short'), formatDate(date, 'long')];
+        commands.push({
+            group: 'As of Date',
+            icon: '📅',
+            label: `Report as of ${formatDate(date, 'short')}`,
+            keywords,
+            run: () => setFilterValue('filter_primary_as_of_date', date)
+        });
+        commands.push({
+            group: 'Compare to',
+            icon: '🔀',
+            label: `Compare to ${formatDate(date, 'short')}`,
+            keywords,
+            run: () => setFilterValue('filter_secondary_as_of_date', date)
+        });
+    });
+
+    AppConstants.MARKET_SEGMENTS.forEach(segment => commands.push({
+        group: 'Segment',
+        icon: '🧩',
+        label: segment.replace(/_/g, ' '),
+        keywords: [segment],
+        run: async () => {
+            await setSegment(segment);
+            showAlert(`Segment set to ${segment.replace(/_/g, ' ')}`, 'info');
+        }
+    }));
+
+    const routePermissions = { UPLOADER: 'UPLOAD', ADMIN: 'MANAGE_USERS' };
+    Object.entries(AppConstants.ROUTES)
+        .filter(([key]) => key !== 'LOGIN')
+        .filter(([key]) => !routePermissions[key] || hasPermission(currentUserRole, routePermissions[key]))
+        .forEach(([key, route]) => commands.push({
+            group: 'Page',
+            icon: '🧭',
+            label: `Go to ${toTitle(key)}`,
+            run: () => { window.location.href = route; }
+        }));
+
+    [
+        { group: 'Action', icon: '🌓', label: 'Toggle theme', keywords: ['dark', 'light'], run: () => window.toggleTheme() },
+        { group: 'Action', icon: '📁', label: 'Upload file', keywords: ['import'], permission: 'UPLOAD', run: () => { window.location.href = AppConstants.ROUTES.UPLOADER; } },
+        { group: 'Action', icon: '⚙️', label: 'Configure connection', keywords: ['config', 'supabase', 'settings'], permission: 'CONFIGURE', run: () => showConfigModal() },
+        { group: 'Action', icon: '🏙️', label: 'Compare cities', keywords: ['multi-city', 'portfolio', 'overlay'], run: () => toggleCityCompare() },
+        { group: 'Action', icon: '⬇️', label: 'Export dashboard', keywords: ['download', 'excel', 'csv', 'pdf'], run: () => showExportDialog() },
+        { group: 'Action', icon: '🚨', label: 'Anomaly thresholds', keywords: ['alerts', 'outliers', 'settings'], run: () => showAnomalySettings() },
+        { group: 'Action', icon: '✏️', label: 'Edit peak seasons', keywords: ['season', 'calendar'], permission: 'EDIT_SEASONS', run: () => showSeasonEditor() }
+    ]
+        .filter(action => !action.permission || hasPermission(currentUserRole, action.permission))
+        .forEach(action => commands.push(action));
+
+    Object.entries(AppConstants.HORIZON_DEFINITIONS).forEach(([key, definition]) => commands.push({
+        group: 'Horizon',
+        icon: '🔭',
+        label: definition.label,
+        keywords: [AppConstants.FORECAST_HORIZONS[key]],
+        run: async () => {
+            await setHorizon(AppConstants.FORECAST_HORIZONS[key]);
+            showAlert(`Showing ${definition.label} forecast dates`, 'info');
+        }
+    }));
+
+    Object.entries(FILTER_PRESETS).forEach(([key, preset]) => commands.push({
+        group: 'Preset',
+        icon: '⏱️',
+        label: preset.label,
+        run: () => applyPreset(key)
+    }));
+
+    return commands;
+}
+
+/**
+ * Sets a filter select to a value and reloads the dashboard
+ */
+function setFilterValue(selectId, value) {
+    const select = document.getElementById(selectId);
+    if (!select || select.value === value) return;
+    select.value = value;
+    handleFilterChange();
 }
 
 /**
@@ -241,9 +1352,20 @@ function handleError(message, error, retryCallback = null) {
     }
     
     showAlert(`${message}: ${error.message}`, 'error', 0, actions);
-    renderEmptyState(true);
+    renderEmptyState(true, retryCallback);
 }
 
 // Export functions for global use
 window.applyPreset = applyPreset;
+window.showSeasonEditor = showSeasonEditor;
+window.showAnomalySettings = showAnomalySettings;
+window.handleFilterChange = handleFilterChange;
+window.showExportDialog = showExportDialog;
+window.setSegment = setSegment;
+window.setSegmentMixChartType = setSegmentMixChartType;
+window.setHorizon = setHorizon;
+window.toggleCityCompare = toggleCityCompare;
+window.viewNewReport = viewNewReport;
+window.dismissNewReport = dismissNewReport;
+window.handleCompareCityChange = handleCompareCityChange;
 window.showQuickSearch = showQuickSearch;
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * @file season-calendar.js
+ * @description Per-city peak-season calendar used by the "Peak Season" filter preset.
+ * Seasons are loaded from the season calendar table so the revenue team can edit them,
+ * falling back to the defaults in AppConstants.PEAK_SEASONS.
+ */
+
+window.SeasonCalendar = (() => {
+    // --- PRIVATE STATE ---
+    let calendar = cloneDefaults();
+    let isLoaded = false;
+
+    // --- PRIVATE METHODS ---
+
+    function cloneDefaults() {
+        const defaults = window.AppConstants.PEAK_SEASONS || {};
+        return Object.fromEntries(
+            Object.entries(defaults).map(([city, ranges]) => [city, ranges.map(r => ({ ...r }))])
+        );
+    }
+
+    /**
+     * Checks whether a month-day (MM-DD) falls within a range, handling ranges
+     * that wrap around the year end (e.g. 12-15 to 01-05).
+     */
+    function isWithinRange(monthDay, start, end) {
+        return start <= end
+            ? monthDay >= start && monthDay <= end
+            : monthDay >= start || monthDay <= end;
+    }
+
+    function isValidMonthDay(value) {
+        if (!/^\d{2}-\d{2}$/.test(value)) return false;
+        const [month, day] = value.split('-').map(Number);
+        const date = new Date(2000, month - 1, day); // Leap year so 02-29 is accepted
+        return date.getMonth() === month - 1 && date.getDate() === day;
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * Loads the saved calendar from the database. Cities without saved
+         * ranges keep their defaults.
+         * @returns {Promise<void>}
+         */
+        load: async () => {
+            const client = window.SupabaseConfig.getClient();
+            if (!client) return;
+
+            const { data, error } = await client
+                .from(AppConstants.DATABASE.SEASON_TABLE_NAME)
+                .select('city, name, start_md, end_md')
+                .order('start_md', { ascending: true });
+
+            // Ignore "relation does not exist" so the defaults work before the table is created.
+            if (error && error.code !== '42P01') throw error;
+
+            calendar = cloneDefaults();
+            const saved = {};
+            (data || []).forEach(row => {
+                if (!saved[row.city]) saved[row.city] = [];
+                saved[row.city].push({ name: row.name, start: row.start_md, end: row.end_md });
+            });
+            Object.assign(calendar, saved);
+            isLoaded = true;
+        },
+
+        /**
+         * Returns the peak-season ranges for a city.
+         * @param {string} city - The city name.
+         * @returns {Array<{name: string, start: string, end: string}>}
+         */
+        getSeasons: (city) => (calendar[city] || []).map(r => ({ ...r })),
+
+        /**
+         * Checks whether a date falls within one of the city's peak seasons.
+         * @param {string} city - The city name.
+         * @param {string} isoDate - The date as YYYY-MM-DD.
+         * @returns {boolean}
+         */
+        isPeakDate: (city, isoDate) => {
+            const monthDay = formatDate(isoDate, 'iso').substring(5);
+            return (calendar[city] || []).some(r => isWithinRange(monthDay, r.start, r.end));
+        },
+
+        /**
+         * Replaces the saved seasons for a city. The new seasons are upserted first and only
+         * then are seasons no longer in the list deleted, so a failed save never leaves the
+         * city without seasons.
+         * @param {string} city - The city name.
+         * @param {Array<{name: string, start: string, end: string}>} ranges - The new ranges.
+         * @returns {Promise<void>}
+         */
+        saveSeasons: async (city, ranges) => {
+            const client = window.SupabaseConfig.getClient();
+            if (!client) throw new Error('Supabase client is not initialized.');
+
+            const seasons = ranges.map(r => ({ name: r.name.trim(), start: r.start, end: r.end }));
+            const invalid = seasons.find(r => !r.name || !isValidMonthDay(r.start) || !isValidMonthDay(r.end));
+            if (invalid) {
+                throw new Error('Each season needs a name and start/end dates in MM-DD format.');
+            }
+            const names = seasons.map(r => r.name);
+            if (new Set(names).size < names.length) {
+                throw new Error('Each season of a city needs a different name.');
+            }
+
+            const table = AppConstants.DATABASE.SEASON_TABLE_NAME;
+            const { data: existing, error: selectError } = await client.from(table).select('name').eq('city', city);
+            if (selectError) throw selectError;
+
+            if (seasons.length > 0) {
+                const rows = seasons.map(r => ({ city, name: r.name, start_md: r.start, end_md: r.end }));
+                const { error: upsertError } = await client
+                    .from(table)
+                    .upsert(rows, { onConflict: AppConstants.DATABASE.SEASON_UNIQUE_KEY.join(',') });
+                if (upsertError) throw upsertError;
+            }
+
+            const removed = (existing || []).map(row => row.name).filter(name => !names.includes(name));
+            if (removed.length > 0) {
+                const { error: deleteError } = await client.from(table).delete().eq('city', city).in('name', removed);
+                if (deleteError) throw deleteError;
+            }
+
+            calendar[city] = seasons;
+        },
+
+        /**
+         * Whether the calendar has been loaded from the database.
+         * @returns {boolean}
+         */
+        isLoaded: () => isLoaded
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Season calendar loaded.');
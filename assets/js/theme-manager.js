@@ -42,14 +42,13 @@ class ThemeManager {
         
         // **FIX**: Only try to update charts if it's a manual toggle and charts exist.
         // On initial load, charts will automatically adopt the theme when they are created.
-        if (!isInitialLoad && window.ApexCharts) {
+        // Charts are looked up through EnhancedDashboardComponents, which only has the
+        // instance currently rendered in each container.
+        if (!isInitialLoad && typeof EnhancedDashboardComponents !== 'undefined') {
             document.querySelectorAll('.chart-canvas').forEach(chartEl => {
-                const chartId = chartEl.id;
-                if(chartId && ApexCharts.getChartByID(chartId)) {
-                    ApexCharts.exec(chartId, 'updateOptions', {
-                        theme: { mode: theme }
-                    });
-                }
+                EnhancedDashboardComponents.getChart(chartEl.id)?.updateOptions({
+                    theme: { mode: theme }
+                });
             });
         }
     }
@@ -0,0 +1,110 @@
+/**
+ * @file upload-template.js
+ * @description Builds the uploader's data dictionary and downloadable .xlsx/.csv
+ * templates from AppConstants and the UploadValidation rules, so the documented
+ * format always matches the validator.
+ */
+
+window.UploadTemplate = (() => {
+    const FILE_NAME = 'occupancy_forecast_template';
+    const EXAMPLE_DAYS = 3;
+
+    // --- PRIVATE METHODS ---
+
+    function getColumns() {
+        return [...AppConstants.VALIDATION.REQUIRED_COLUMNS, ...AppConstants.VALIDATION.OPTIONAL_COLUMNS];
+    }
+
+    function isRequired(column) {
+        return AppConstants.VALIDATION.REQUIRED_COLUMNS.includes(column);
+    }
+
+    const round = (value) => Math.round(value * 10) / 10;
+
+    /**
+     * Example rows for the next few stay dates of the first city. The segment rows
+     * add up to the Totals row, as they do in a report.
+     */
+    function buildExampleRows() {
+        const today = new Date();
+        const asOfDate = formatDate(today, 'iso');
+        const rows = [];
+
+        for (let day = 1; day <= EXAMPLE_DAYS; day++) {
+            const stayDate = new Date(today);
+            stayDate.setDate(today.getDate() + day);
+
+            const segments = AppConstants.MARKET_SEGMENTS.filter(s => s !== 'Totals').map((segment, i) => ({
+                market_segment: segment,
+                current_occupancy: round((36 + day * 3) / (i + 2)),
+                stly_variance: round((day - i) / 2),
+                weekly_pickup: day * 3 - i * 2
+            }));
+            const sum = (column) => round(segments.reduce((total, row) => total + row[column], 0));
+            const totals = { market_segment: 'Totals', current_occupancy: sum('current_occupancy'), stly_variance: sum('stly_variance'), weekly_pickup: sum('weekly_pickup') };
+
+            [totals, ...segments].forEach(row => {
+                rows.push({
+                    as_of_date: asOfDate,
+                    city: AppConstants.CITIES[0],
+                    forecast_date: formatDate(stayDate, 'iso'),
+                    ...row,
+                    current_occupancy: row.current_occupancy.toFixed(1),
+                    stly_variance: row.stly_variance.toFixed(1)
+                });
+            });
+        }
+        return rows;
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * Describes every column the uploader accepts.
+         * @returns {Array<{column: string, required: boolean, type: string, allowed: string, description: string, aliases: string[]}>}
+         */
+        getDataDictionary: () => getColumns().map(column => ({
+            column,
+            required: isRequired(column),
+            ...UploadValidation.describeColumn(column),
+            description: AppConstants.VALIDATION.COLUMN_DESCRIPTIONS[column] || '',
+            aliases: AppConstants.VALIDATION.COLUMN_ALIASES[column] || []
+        })),
+
+        /**
+         * Downloads an .xlsx template with a data sheet and a data-dictionary sheet.
+         */
+        downloadXlsx: () => {
+            const columns = getColumns();
+            const data = [columns, ...buildExampleRows().map(row => columns.map(c => row[c]))];
+            const dictionary = [
+                ['Column', 'Required', 'Type', 'Allowed Values', 'Description', 'Also Recognized As'],
+                ...publicApi.getDataDictionary().map(entry => [
+                    entry.column,
+                    entry.required ? 'Yes' : 'No (defaults to 0)',
+                    entry.type,
+                    entry.allowed,
+                    entry.description,
+                    entry.aliases.join(', ')
+                ])
+            ];
+
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data), 'Data');
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(dictionary), 'Data Dictionary');
+            XLSX.writeFile(workbook, `${FILE_NAME}.xlsx`);
+        },
+
+        /**
+         * Downloads a .csv template with the headers and example rows.
+         */
+        downloadCsv: () => {
+            const columns = getColumns();
+            window.downloadCsv([columns, ...buildExampleRows().map(row => columns.map(c => row[c]))], `${FILE_NAME}.csv`);
+        }
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Upload template loaded.');
@@ -0,0 +1,168 @@
+/**
+ * @file upload-validation.js
+ * @description Row validation for the uploader. Shared by the page (inline fixes)
+ * and the upload worker (bulk validation), so it only depends on AppConstants
+ * and the formatting helpers in constants.js.
+ */
+
+window.UploadValidation = (() => {
+    // How often (in rows) bulk validation reports progress
+    const PROGRESS_INTERVAL = 5000;
+    const COLUMNS = [...AppConstants.VALIDATION.REQUIRED_COLUMNS, ...AppConstants.VALIDATION.OPTIONAL_COLUMNS];
+    const { OCCUPANCY_MIN, OCCUPANCY_MAX, VARIANCE_MIN, VARIANCE_MAX } = AppConstants.VALIDATION;
+
+    // How each column is checked. The uploader's data dictionary is derived from these
+    // rules too (see describeColumn()). Optional columns default to 0 when left blank.
+    const RULES = {
+        as_of_date: { type: 'date', label: 'Date' },
+        city: { type: 'choice', label: 'City', choices: AppConstants.CITIES },
+        forecast_date: { type: 'date', label: 'Date' },
+        market_segment: { type: 'choice', label: 'Market segment', choices: AppConstants.MARKET_SEGMENTS },
+        current_occupancy: { type: 'number', label: 'Occupancy', min: OCCUPANCY_MIN, max: OCCUPANCY_MAX },
+        stly_variance: { type: 'number', label: 'STLY variance', min: VARIANCE_MIN, max: VARIANCE_MAX },
+        weekly_pickup: { type: 'integer', label: 'Weekly pickup', note: 'negative for wash' }
+    };
+
+    // --- PRIVATE METHODS ---
+
+    /**
+     * Parses a numeric cell, accepting a trailing percent sign.
+     * @returns {number|null} The number, or null if the value is not numeric.
+     */
+    function parseNumber(value) {
+        const cleaned = String(value).replace(/[%\s]/g, '');
+        if (cleaned === '' || isNaN(cleaned)) return null;
+        return Number(cleaned);
+    }
+
+    function isBlankRow(row) {
+        return !Object.values(row).some(v => String(v ?? '').trim() !== '');
+    }
+
+    /**
+     * Checks one trimmed value against its column's rule.
+     * @returns {{value: *, error: string|null}}
+     */
+    function checkValue(column, raw) {
+        const rule = RULES[column];
+        if (raw === '') {
+            return AppConstants.VALIDATION.REQUIRED_COLUMNS.includes(column)
+                ? { value: rule.type === 'choice' ? raw : null, error: `${rule.label} is required` }
+                : { value: 0, error: null };
+        }
+
+        switch (rule.type) {
+            case 'date': {
+                const date = formatDate(raw, 'iso');
+                return date === 'N/A' ? { value: null, error: `Unparseable date "${raw}"` } : { value: date, error: null };
+            }
+            case 'choice':
+                return { value: raw, error: rule.choices.includes(raw) ? null : `Unknown ${rule.label.toLowerCase()} "${raw}"` };
+            case 'number': {
+                const number = parseNumber(raw);
+                if (number === null) return { value: null, error: `Not a number "${raw}"` };
+                const inRange = number >= rule.min && number <= rule.max;
+                return { value: number, error: inRange ? null : `${rule.label} must be between ${rule.min} and ${rule.max}` };
+            }
+            case 'integer': {
+                const number = parseNumber(raw);
+                return { value: number, error: number === null || !Number.isInteger(number) ? `Not a whole number "${raw}"` : null };
+            }
+        }
+    }
+
+    // --- PUBLIC API ---
+    const publicApi = {
+        /**
+         * Validates every row of a parsed sheet.
+         * @param {object[]} data - Parsed rows keyed by column.
+         * @param {Function} [onProgress] - Called with the fraction (0-1) of rows validated.
+         * @returns {Array<{index: number, rowNumber: number, raw: object, values: object, errors: object}>}
+         * One result per row; `errors` maps a column to its problem and is empty for valid rows.
+         */
+        validateRows: (data, onProgress) => {
+            if (!data || data.length === 0) throw new Error('No data rows found in the file.');
+
+            // Check for required columns in the first row
+            const firstRow = data[0];
+            for (const col of AppConstants.VALIDATION.REQUIRED_COLUMNS) {
+                if (!(col in firstRow)) {
+                    throw new Error(`Data validation failed. Missing required column: '${col}'.`);
+                }
+            }
+
+            const results = [];
+            data.forEach((row, i) => {
+                if (onProgress && i % PROGRESS_INTERVAL === 0) onProgress(i / data.length);
+
+                // +2: header row and 1-based numbering
+                const result = publicApi.validateRecord(row, i + 2, results.length);
+                if (result) results.push(result);
+            });
+
+            if (onProgress) onProgress(1);
+            return results;
+        },
+
+        /**
+         * Validates one parsed row, for callers that stream rows instead of holding them all.
+         * @param {object} row - The row keyed by column.
+         * @param {number} rowNumber - The row's line number in the file.
+         * @param {number} index - The row's position among the validated rows.
+         * @returns {{index: number, rowNumber: number, raw: object, values: object, errors: object}|null}
+         * The result, or null for a blank line.
+         */
+        validateRecord: (row, rowNumber, index) => {
+            // Skip fully blank lines, which spreadsheets often leave at the end
+            if (isBlankRow(row)) return null;
+
+            const raw = {};
+            COLUMNS.forEach(col => { raw[col] = String(row[col] ?? '').trim(); });
+            return { index, rowNumber, raw, ...publicApi.validateRow(raw) };
+        },
+
+        /**
+         * Validates and type-casts a single row.
+         * @param {object} raw - The row's trimmed string values.
+         * @returns {{values: object, errors: object}}
+         */
+        validateRow: (raw) => {
+            const errors = {};
+            const values = {};
+
+            COLUMNS.forEach(column => {
+                const { value, error } = checkValue(column, raw[column] ?? '');
+                values[column] = value;
+                if (error) errors[column] = error;
+            });
+
+            return { values, errors };
+        },
+
+        /**
+         * Describes the type and accepted values of a column, from the rule it is validated with.
+         * @param {string} column
+         * @returns {{type: string, allowed: string}}
+         */
+        describeColumn: (column) => {
+            const rule = RULES[column];
+            switch (rule?.type) {
+                case 'date':
+                    return { type: 'Date', allowed: 'Any date, e.g. YYYY-MM-DD' };
+                case 'choice':
+                    return { type: 'Text', allowed: rule.choices.join(', ') };
+                case 'number':
+                    // parseNumber() strips a percent sign from any number
+                    return { type: 'Number', allowed: `${rule.min} to ${rule.max}; a trailing % is accepted` };
+                case 'integer':
+                    return { type: 'Whole number', allowed: ['Any whole number', rule.note].filter(Boolean).join(', ') };
+                default:
+                    return { type: 'Text', allowed: '' };
+            }
+        }
+    };
+
+    return publicApi;
+})();
+
+console.log('✅ Upload validation loaded.');
@@ -0,0 +1,329 @@
+/**
+ * @file upload-worker.js
+ * @description Web Worker for the uploader. Parses workbooks, applies column
+ * mappings and validates rows off the main thread, posting progress as it goes.
+ *
+ * Messages in:  { id, type: 'parse', file } | { id, type: 'validate', sheet, mapping }
+ *             | { id, type: 'inspect-csv', file } | { id, type: 'validate-csv', file, options, mapping }
+ * Messages out: { id, type: 'progress', message, progress } | { id, type: 'result', result }
+ *             | { id, type: 'error', message }
+ */
+
+// The shared scripts attach their globals to window
+self.window = self;
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    '../../config/constants.js',
+    'column-mapping.js',
+    'upload-validation.js'
+);
+
+function isBlankRow(row) {
+    return !row.some(v => String(v ?? '').trim() !== '');
+}
+
+/**
+ * Reads every sheet of a workbook.
+ * @returns {Promise<Array<{sheetName: string, headers: string[], rows: Array<Array>}>>}
+ * The trimmed header row and the raw data rows of each sheet.
+ */
+async function parseWorkbook(file, reportProgress) {
+    reportProgress(`Reading ${file.name}...`, 0);
+    const data = new Uint8Array(await file.arrayBuffer());
+
+    reportProgress(`Parsing ${file.name}...`, 20);
+    let workbook;
+    try {
+        workbook = XLSX.read(data, { type: 'array', cellDates: true });
+    } catch (error) {
+        throw new Error('Failed to parse file content. Ensure it is a valid Excel or CSV file.');
+    }
+
+    return workbook.SheetNames.map((sheetName, i) => {
+        reportProgress(`Reading sheet "${sheetName}"...`, 40 + (i / workbook.SheetNames.length) * 60);
+        const jsonData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: false });
+
+        // Keep the original headers so they can be shown in the mapping step
+        const headers = (jsonData[0] || []).map((h, index) => String(h ?? '').trim() || `Column ${index + 1}`);
+
+        // Drop trailing blank lines only, so row numbers still match the spreadsheet
+        const rows = jsonData.slice(1);
+        while (rows.length && isBlankRow(rows[rows.length - 1])) rows.pop();
+
+        return { sheetName, headers, rows };
+    });
+}
+
+/**
+ * Applies the column mapping to a sheet and validates its rows.
+ */
+function validateSheet(sheet, mapping, reportProgress) {
+    reportProgress('Validating rows...', 0);
+    const data = ColumnMapping.apply(sheet, mapping);
+    return UploadValidation.validateRows(data, fraction => reportProgress('Validating rows...', fraction * 100));
+}
+
+// --- CSV STREAMING ---
+// CSV files are read in chunks and each row is validated as soon as it is parsed,
+// so large exports never have to be held in memory as a whole.
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+const CSV_INSPECT_BYTES = 64 * 1024;
+const CSV_SAMPLE_ROWS = 20;
+const CSV_COLUMNS = [...AppConstants.VALIDATION.REQUIRED_COLUMNS, ...AppConstants.VALIDATION.OPTIONAL_COLUMNS];
+
+// Numbers written with a decimal comma, optionally with dots as thousands separators: "1.234,5", "85,5 %"
+const DECIMAL_COMMA_PATTERN = /^([-+]?\d{1,3}(?:\.\d{3})*|[-+]?\d+),(\d+)(\s*%)?$/;
+// Numbers with commas as thousands separators: "1,234", "1,234.5"
+const THOUSANDS_COMMA_PATTERN = /^([-+]?\d{1,3}(?:,\d{3})+)(\.\d+)?(\s*%)?$/;
+// Numbers whose separator can only be a decimal comma ("85,5", "1.234,5") or a decimal dot ("85.5", "1,234.5").
+// Three digits after a single separator ("1,234") could be either and are ignored.
+const ONLY_DECIMAL_COMMA = /^[-+]?(?:\d+,(?:\d{1,2}|\d{4,})|\d{1,3}(?:\.\d{3})+,\d+)(?:\s*%)?$/;
+const ONLY_DECIMAL_DOT = /^[-+]?(?:\d+\.(?:\d{1,2}|\d{4,})|\d{1,3}(?:,\d{3})+\.\d+)(?:\s*%)?$/;
+
+/**
+ * Detects the text encoding from the byte order mark, falling back to UTF-8
+ * when the bytes are valid UTF-8 and Latin-1 (Windows-1252) otherwise.
+ * @param {Uint8Array} bytes - The start of the file.
+ * @returns {string} A TextDecoder encoding label.
+ */
+function detectEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+    // UTF-16 without a BOM: ASCII text leaves every other byte empty
+    if (bytes.length >= 4 && bytes[1] === 0 && bytes[3] === 0) return 'utf-16le';
+    if (bytes.length >= 4 && bytes[0] === 0 && bytes[2] === 0) return 'utf-16be';
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+        return 'utf-8';
+    } catch (error) {
+        return 'windows-1252';
+    }
+}
+
+/**
+ * Picks the delimiter that splits the first lines into the same, largest number of fields.
+ */
+function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10);
+    if (lines.length > 1) lines.pop(); // The last line may be cut off
+
+    let best = { delimiter: ',', score: 0 };
+    CSV_DELIMITERS.forEach(delimiter => {
+        const counts = lines.map(line => line.replace(/"[^"]*"/g, '').split(delimiter).length - 1);
+        const consistent = counts.every(count => count === counts[0]);
+        const score = counts[0] > 0 ? counts[0] * (consistent ? 2 : 1) : 0;
+        if (score > best.score) best = { delimiter, score };
+    });
+    return best.delimiter;
+}
+
+/**
+ * Creates an incremental CSV parser. Text can be pushed in chunks of any size;
+ * quoted fields may contain delimiters, line breaks and doubled quotes.
+ * @param {string} delimiter - The field delimiter.
+ * @param {function(string[], number): (boolean|void)} onRow - Called for each row with the
+ * 1-based file line it starts on, which differs from the row count once a quoted field
+ * spans lines; return false to stop.
+ */
+function createCsvParser(delimiter, onRow) {
+    let field = '';
+    let row = [];
+    let inQuotes = false;
+    let afterQuote = false; // Saw a quote inside a quoted field; the next character decides what it was
+    let stopped = false;
+    let line = 1;
+    let rowLine = 1;
+
+    function endRow() {
+        row.push(field);
+        field = '';
+        if (onRow(row, rowLine) === false) stopped = true;
+        row = [];
+    }
+
+    return {
+        push(text) {
+            for (let i = 0; i < text.length && !stopped; i++) {
+                const char = text[i];
+
+                if (inQuotes) {
+                    if (afterQuote) {
+                        afterQuote = false;
+                        if (char === '"') {
+                            field += '"';
+                            continue;
+                        }
+                        inQuotes = false; // The quote closed the field; handle this character normally
+                    } else if (char === '"') {
+                        afterQuote = true;
+                        continue;
+                    } else {
+                        if (char === '\n') line++;
+                        field += char;
+                        continue;
+                    }
+                }
+
+                if (char === '"' && field === '') {
+                    inQuotes = true;
+                } else if (char === delimiter) {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n') {
+                    endRow();
+                    rowLine = ++line;
+                } else if (char !== '\r') {
+                    field += char;
+                }
+            }
+            return !stopped;
+        },
+
+        end() {
+            if (stopped) return;
+            if (field !== '' || row.length > 0) endRow();
+        }
+    };
+}
+
+/**
+ * Decides from sample rows whether the file writes numbers with a decimal comma,
+ * by counting the values that can only be read one way. A comma delimiter rules
+ * decimal commas out.
+ */
+function detectDecimalComma(rows, delimiter) {
+    if (delimiter === ',') return false;
+
+    let commas = 0;
+    let dots = 0;
+    rows.forEach(row => row.forEach(value => {
+        const trimmed = value.trim();
+        if (ONLY_DECIMAL_COMMA.test(trimmed)) commas++;
+        else if (ONLY_DECIMAL_DOT.test(trimmed)) dots++;
+    }));
+    return commas > dots;
+}
+
+/**
+ * Converts numbers to the plain dot notation the validator expects, dropping
+ * thousands separators.
+ * @param {string[]} row
+ * @param {boolean} decimalComma - Whether commas are decimal separators.
+ */
+function normalizeNumbers(row, decimalComma) {
+    return row.map(value => {
+        if (decimalComma) {
+            const match = DECIMAL_COMMA_PATTERN.exec(value.trim());
+            return match ? `${match[1].replace(/\./g, '')}.${match[2]}${match[3] || ''}` : value;
+        }
+        const match = THOUSANDS_COMMA_PATTERN.exec(value.trim());
+        return match ? `${match[1].replace(/,/g, '')}${match[2] || ''}${match[3] || ''}` : value;
+    });
+}
+
+/**
+ * Reads the start of a CSV file to detect its encoding and delimiter and return
+ * the header row with a few sample rows for the mapping step.
+ * @returns {Promise<{sheetName: null, headers: string[], rows: Array<Array>, csv: object}>}
+ */
+async function inspectCsv(file, reportProgress) {
+    reportProgress(`Reading ${file.name}...`, 0);
+    const bytes = new Uint8Array(await file.slice(0, CSV_INSPECT_BYTES).arrayBuffer());
+    const encoding = detectEncoding(bytes);
+    const text = new TextDecoder(encoding).decode(bytes, { stream: true });
+    const delimiter = detectDelimiter(text);
+
+    const rows = [];
+    const parser = createCsvParser(delimiter, row => {
+        rows.push(row);
+        return rows.length <= CSV_SAMPLE_ROWS;
+    });
+    parser.push(text);
+    if (bytes.length === file.size) parser.end();
+
+    const headers = (rows[0] || []).map((h, index) => String(h ?? '').trim() || `Column ${index + 1}`);
+    const sample = rows.slice(1).filter(row => !isBlankRow(row));
+    const options = { encoding, delimiter, decimalComma: detectDecimalComma(sample, delimiter) };
+    return { sheetName: null, headers, rows: sample.map(row => normalizeNumbers(row, options.decimalComma)), csv: options };
+}
+
+/**
+ * Streams a CSV file through the column mapping and validation. Only rows with
+ * errors are kept in full; a valid row is reduced to an array of its values, so
+ * a large export is not held and copied back as three objects per row.
+ * @returns {Promise<{rowCount: number, columns: string[], valid: Array<Array>, invalid: Array}>}
+ * Each valid entry is [index, rowNumber, ...values in `columns` order]; invalid holds the
+ * UploadValidation.validateRecord() results of rows with errors.
+ */
+async function validateCsv(file, options, mapping, reportProgress) {
+    const result = { rowCount: 0, columns: CSV_COLUMNS, valid: [], invalid: [] };
+    const describe = () => `Validating ${file.name}... ${formatNumber(result.rowCount, 0)} rows, ${formatNumber(result.invalid.length, 0)} with errors`;
+    reportProgress(describe(), 0);
+
+    let mapRow = null;
+    const parser = createCsvParser(options.delimiter, (row, lineNumber) => {
+        if (!mapRow) {
+            const headers = row.map((h, index) => String(h ?? '').trim() || `Column ${index + 1}`);
+            mapRow = ColumnMapping.createRowMapper(headers, mapping);
+            return;
+        }
+        const record = UploadValidation.validateRecord(mapRow(normalizeNumbers(row, options.decimalComma)), lineNumber, result.rowCount);
+        if (!record) return;
+
+        result.rowCount++;
+        if (Object.keys(record.errors).length > 0) {
+            result.invalid.push(record);
+        } else {
+            result.valid.push([record.index, record.rowNumber, ...CSV_COLUMNS.map(col => record.values[col])]);
+        }
+    });
+
+    const decoder = new TextDecoder(options.encoding);
+    const reader = file.stream().getReader();
+    let bytesRead = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parser.push(decoder.decode(value, { stream: true }));
+        bytesRead += value.length;
+        reportProgress(describe(), (bytesRead / file.size) * 100);
+    }
+    parser.push(decoder.decode());
+    parser.end();
+
+    if (result.rowCount === 0) throw new Error('No data rows found in the file.');
+    return result;
+}
+
+self.onmessage = async ({ data: message }) => {
+    const { id, type } = message;
+    const reportProgress = (text, progress) => self.postMessage({ id, type: 'progress', message: text, progress });
+
+    try {
+        let result;
+        switch (type) {
+            case 'parse':
+                result = await parseWorkbook(message.file, reportProgress);
+                break;
+            case 'validate':
+                result = validateSheet(message.sheet, message.mapping, reportProgress);
+                break;
+            case 'inspect-csv':
+                result = await inspectCsv(message.file, reportProgress);
+                break;
+            case 'validate-csv':
+                result = await validateCsv(message.file, message.options, message.mapping, reportProgress);
+                break;
+            default:
+                throw new Error(`Unknown message type "${type}"`);
+        }
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -6,12 +6,29 @@
 
 // --- STATE MANAGEMENT ---
 const uploaderState = {
-    file: null,
-    processedData: [],
+    sources: [], // One entry per sheet of every selected file, see createSource()
+    activeSourceId: null, // Source shown in the mapping/preview panel
+    processedData: [], // Clean rows from all included sources that will be uploaded
+    errorMode: 'block', // How rows with errors are handled: 'block', 'fix' or 'exclude'
+    showErrorsOnly: false,
     isValid: false,
     isUploading: false,
+    uploadJob: null, // The running or paused upload, see runUploadJob()
+    anomalyCheck: null, // Anomalies vs each report's previous as-of date, see checkAnomalies()
 };
 
+// How rows that fail validation are handled before upload
+const ERROR_MODES = {
+    block: { label: 'Block upload', description: 'Upload is disabled until every error is resolved.' },
+    fix: { label: 'Fix inline', description: 'Edit the highlighted cells directly in the preview.' },
+    exclude: { label: 'Exclude rows', description: 'Upload only the valid rows and leave the rest out.' }
+};
+
+const PREVIEW_ROW_LIMIT = 100;
+const ANOMALY_PREVIEW_LIMIT = 10; // Anomalies listed per report
+let sourceCounter = 0; // Gives each source a unique id
+let anomalyRequestId = 0;
+
 // --- INITIALIZATION ---
 document.addEventListener('DOMContentLoaded', async () => {
     // Redirect to login if no session exists.
@@ -29,8 +46,30 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initialize the page and render the uploader UI.
     initializePage('uploader');
+
+    const role = await getCurrentUserRole();
+    if (!hasPermission(role, 'UPLOAD')) {
+        document.getElementById('uploader-component-container').innerHTML = SharedComponents.createAccessDenied(
+            'Your account has read-only access. Ask an administrator for the uploader role to import data.'
+        );
+        return;
+    }
+
     renderUploaderUI();
-    bindEventListeners();
+    await recoverInterruptedUpload();
+});
+
+// Escape cancels a parse or validation that is running
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') cancelProcessing();
+});
+
+// Warn before leaving while rows are only partly uploaded
+window.addEventListener('beforeunload', (e) => {
+    if (uploaderState.isUploading || uploaderState.uploadJob) {
+        e.preventDefault();
+        e.returnValue = '';
+    }
 });
 
 // --- UI RENDERING ---
@@ -46,44 +85,295 @@ function renderUploaderUI() {
         <div id="drop-zone" class="drop-zone">
             <div class="drop-zone-prompt">
                 <div class="drop-zone-icon animate-float">📤</div>
-                <h2 class="drop-zone-title">Drag & Drop Your File</h2>
+                <h2 class="drop-zone-title">Drag & Drop Your Files</h2>
                 <p class="drop-zone-subtitle">or</p>
                 <button onclick="document.getElementById('file-input').click()" class="btn btn-primary">
                     Browse Files
                 </button>
-                <input type="file" id="file-input" class="sr-only" accept=".xlsx, .xls, .csv">
+                <input type="file" id="file-input" class="sr-only" accept=".xlsx, .xls, .csv" multiple>
+                <p class="drop-zone-hint">Workbooks with one sheet per city and multiple files are uploaded together.</p>
                 <div class="file-type-icons">
                      <span>Excel (.xlsx)</span>
                      <span>CSV (.csv)</span>
                 </div>
             </div>
         </div>
+        <div id="processing-progress" class="processing-progress" role="status" hidden>
+            <div class="processing-progress-header">
+                <span class="processing-message"></span>
+                <button type="button" class="btn btn-secondary btn-sm processing-cancel">Cancel (Esc)</button>
+            </div>
+            <div class="upload-progress"><div class="upload-progress-bar"></div></div>
+        </div>
+        ${renderTemplateCard()}
     `;
+    bindEventListeners();
+    container.querySelector('.processing-cancel').addEventListener('click', cancelProcessing);
+
+    container.querySelectorAll('[data-template]').forEach(button => {
+        button.addEventListener('click', () => {
+            if (button.dataset.template === 'xlsx') {
+                UploadTemplate.downloadXlsx();
+            } else {
+                UploadTemplate.downloadCsv();
+            }
+        });
+    });
 }
 
 /**
- * Updates the UI to show a preview of the selected file.
+ * Renders the template download actions and the data dictionary of expected columns.
  */
-function renderFilePreview() {
+function renderTemplateCard() {
+    const dictionary = UploadTemplate.getDataDictionary();
+    return `
+        <div class="template-card">
+            <div class="template-card-header">
+                <div>
+                    <h3 class="template-card-title">Not sure about the format?</h3>
+                    <p class="template-card-subtitle">Download a template with the expected headers, example rows and a data dictionary.</p>
+                </div>
+                <div class="file-preview-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-template="xlsx">⬇️ Template (.xlsx)</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-template="csv">⬇️ Template (.csv)</button>
+                </div>
+            </div>
+            <details class="data-dictionary">
+                <summary>📖 Expected columns</summary>
+                <div class="table-scroll">
+                    <table class="preview-table">
+                        <thead>
+                            <tr><th>Column</th><th>Required</th><th>Type</th><th>Allowed Values</th><th>Description</th></tr>
+                        </thead>
+                        <tbody>
+                            ${dictionary.map(entry => `
+                                <tr>
+                                    <td><code>${entry.column}</code></td>
+                                    <td>${entry.required ? 'Yes' : 'No, defaults to 0'}</td>
+                                    <td>${entry.type}</td>
+                                    <td>${entry.allowed}</td>
+                                    <td>${entry.description}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </details>
+        </div>
+    `;
+}
+
+/**
+ * Updates the drop zone to list every sheet and file in the job with its
+ * row count, validation status and an include toggle.
+ */
+function renderSourceList() {
     const dropZone = document.getElementById('drop-zone');
-    if (!dropZone || !uploaderState.file) return;
+    if (!dropZone || uploaderState.sources.length === 0) return;
+
+    const included = uploaderState.sources.filter(s => s.included);
+    const totalRows = included.reduce((sum, s) => sum + (getSourceRowCount(s) || 0), 0);
 
     dropZone.innerHTML = `
-        <div class="file-preview-card animate-scaleIn">
-            <div class="file-preview-icon">📄</div>
-            <div class="file-preview-info">
-                <div class="file-preview-name">${uploaderState.file.name}</div>
-                <div class="file-preview-details">
-                    ${(uploaderState.file.size / 1024 / 1024).toFixed(2)} MB
+        <div class="source-list animate-scaleIn">
+            <div class="source-list-header">
+                <div>
+                    <h2 class="source-list-title">📚 ${uploaderState.sources.length} sheet${uploaderState.sources.length > 1 ? 's' : ''} ready</h2>
+                    <p class="file-preview-details">${included.length} included · ${formatNumber(totalRows, 0)} rows</p>
+                </div>
+                <div class="file-preview-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="document.getElementById('file-input').click()">➕ Add Files</button>
+                    <button class="btn btn-secondary btn-sm" onclick="resetUploaderState()">Clear All</button>
+                    <input type="file" id="file-input" class="sr-only" accept=".xlsx, .xls, .csv" multiple>
                 </div>
             </div>
-            <div class="file-preview-actions">
-                <button class="btn btn-secondary btn-sm" onclick="resetUploaderState()">Change File</button>
-            </div>
+            ${uploaderState.sources.map(source => {
+                const status = getSourceStatus(source);
+                return `
+                    <div class="file-preview-card source-item ${source.id === uploaderState.activeSourceId ? 'active' : ''} ${source.included ? '' : 'excluded'}" data-source-id="${source.id}">
+                        <input type="checkbox" class="source-include" data-source-id="${source.id}" ${source.included ? 'checked' : ''} aria-label="Include ${escapeHtml(getSourceLabel(source))}">
+                        <div class="file-preview-icon">📄</div>
+                        <div class="file-preview-info">
+                            <div class="file-preview-name">${escapeHtml(getSourceLabel(source))}</div>
+                            <div class="file-preview-details">${getSourceRowCount(source) === null
+                                ? 'Rows counted after mapping'
+                                : `${formatNumber(getSourceRowCount(source), 0)} rows`}${source.csv ? ` · ${describeCsvOptions(source.csv)}` : ''}</div>
+                        </div>
+                        <span class="source-status source-status-${status.key}">${status.icon} ${status.label}</span>
+                        <div class="file-preview-actions">
+                            <button class="btn btn-secondary btn-sm" data-review-source="${source.id}">Review</button>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
         </div>
     `;
     dropZone.classList.remove('drag-over');
     dropZone.style.borderStyle = 'solid';
+
+    document.getElementById('file-input').addEventListener('change', handleFileSelect);
+    dropZone.querySelectorAll('.source-include').forEach(checkbox => {
+        checkbox.addEventListener('click', e => e.stopPropagation());
+        checkbox.addEventListener('change', () => {
+            const source = findSource(checkbox.dataset.sourceId);
+            source.included = checkbox.checked;
+            refreshValidationState();
+            renderSourceList();
+            renderUploadActions();
+        });
+    });
+    dropZone.querySelectorAll('[data-review-source]').forEach(button => {
+        button.addEventListener('click', () => {
+            uploaderState.activeSourceId = button.dataset.reviewSource;
+            renderSourceList();
+            renderActiveSource();
+        });
+    });
+}
+
+/**
+ * Shows the mapping step or the preview for the active source.
+ */
+function renderActiveSource() {
+    const source = getActiveSource();
+    if (!source) return;
+    if (source.validatedRows) {
+        renderDataPreview();
+    } else {
+        renderColumnMapping();
+    }
+}
+
+/**
+ * Renders the column mapping step: one dropdown per column with the
+ * suggested file header preselected, plus profile controls.
+ */
+function renderColumnMapping() {
+    const previewContainer = document.getElementById('preview-container');
+    const source = getActiveSource();
+    if (!previewContainer || !source) return;
+
+    previewContainer.style.display = 'block';
+    renderUploadActions();
+
+    const { headers, rows } = source;
+    const mapping = source.columnMapping;
+    const required = AppConstants.VALIDATION.REQUIRED_COLUMNS;
+    const missing = ColumnMapping.getMissingColumns(mapping);
+    const profileNames = ColumnMapping.getProfileNames();
+
+    const sampleValues = (header) => {
+        const index = headers.indexOf(header);
+        if (index === -1) return '';
+        return rows
+            .map(row => row[index])
+            .filter(v => v !== undefined && v !== null && String(v).trim() !== '')
+            .slice(0, 3)
+            .join(', ');
+    };
+
+    previewContainer.innerHTML = `
+        <div class="mapping-card animate-fadeInUp">
+            <div class="mapping-header">
+                <div>
+                    <h3 class="validation-title">🧭 Map Your Columns · ${escapeHtml(getSourceLabel(source))}</h3>
+                    <p class="mapping-subtitle">Match each column to a header from your file. Suggestions are preselected.</p>
+                </div>
+                <div class="mapping-profile-controls">
+                    <select id="mapping-profile-select" class="mapping-select" aria-label="Mapping profile">
+                        <option value="">Auto-detect</option>
+                        ${profileNames.map(name => `<option value="${escapeHtml(name)}" ${source.mappingProfile === name ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+                    </select>
+                    ${source.mappingProfile ? '<button type="button" id="delete-mapping-profile" class="btn btn-secondary btn-sm" title="Delete profile">🗑️</button>' : ''}
+                </div>
+            </div>
+            <div class="table-scroll">
+                <table class="data-table mapping-table">
+                    <thead>
+                        <tr><th>Column</th><th>File Header</th><th>Sample Values</th></tr>
+                    </thead>
+                    <tbody>
+                        ${ColumnMapping.getColumns().map(column => `
+                            <tr class="${required.includes(column) && !mapping[column] ? 'row-error' : ''}">
+                                <td>
+                                    <span class="mapping-column">${column}</span>
+                                    ${required.includes(column) ? '<span class="mapping-required">Required</span>' : '<span class="mapping-optional">Optional</span>'}
+                                </td>
+                                <td>
+                                    <select class="mapping-select" data-column="${column}" aria-label="File header for ${column}">
+                                        <option value="">-- Not mapped --</option>
+                                        ${headers.map(h => `<option value="${escapeHtml(h)}" ${mapping[column] === h ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('')}
+                                    </select>
+                                </td>
+                                <td class="mapping-sample">${mapping[column] ? escapeHtml(sampleValues(mapping[column])) : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="mapping-actions">
+                <input type="text" id="mapping-profile-name" class="table-search" placeholder="Profile name, e.g. PMS Weekly Export" value="${escapeHtml(source.mappingProfile)}">
+                <button type="button" id="save-mapping-profile" class="btn btn-secondary">💾 Save Profile</button>
+                <button type="button" id="apply-mapping" class="btn btn-primary" ${missing.length ? 'disabled' : ''}>
+                    ${missing.length ? `Map ${missing.length} required column${missing.length > 1 ? 's' : ''} to continue` : 'Continue to Preview →'}
+                </button>
+            </div>
+        </div>
+    `;
+
+    previewContainer.querySelectorAll('.mapping-select[data-column]').forEach(select => {
+        select.addEventListener('change', () => {
+            const column = select.dataset.column;
+            // A file header can only feed one column
+            Object.keys(mapping).forEach(c => {
+                if (c !== column && select.value && mapping[c] === select.value) mapping[c] = null;
+            });
+            mapping[column] = select.value || null;
+            renderColumnMapping();
+        });
+    });
+
+    document.getElementById('mapping-profile-select').addEventListener('change', (e) => {
+        const name = e.target.value;
+        source.mappingProfile = name || null;
+        source.columnMapping = name
+            ? { ...ColumnMapping.suggest(headers).mapping, ...ColumnMapping.getProfile(name) }
+            : ColumnMapping.suggest(headers).mapping;
+        renderColumnMapping();
+    });
+
+    document.getElementById('delete-mapping-profile')?.addEventListener('click', () => {
+        ColumnMapping.deleteProfile(source.mappingProfile);
+        showAlert(`Deleted mapping profile "${source.mappingProfile}"`, 'info');
+        source.mappingProfile = null;
+        renderColumnMapping();
+    });
+
+    document.getElementById('save-mapping-profile').addEventListener('click', () => {
+        const name = document.getElementById('mapping-profile-name').value;
+        try {
+            ColumnMapping.saveProfile(name, mapping);
+            source.mappingProfile = name.trim();
+            showAlert(`Saved mapping profile "${source.mappingProfile}"`, 'success');
+            renderColumnMapping();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    });
+
+    document.getElementById('apply-mapping').addEventListener('click', async () => {
+        try {
+            showLoading('Validating rows...');
+            await applyColumnMapping(source);
+        } catch (error) {
+            if (error.name !== 'AbortError') console.error('Validation failed:', error);
+            showAlert(error.message, error.name === 'AbortError' ? 'info' : 'error');
+        } finally {
+            hideLoading();
+        }
+        renderSourceList();
+        renderActiveSource();
+    });
 }
 
 /**
@@ -92,28 +382,311 @@ function renderFilePreview() {
 function renderDataPreview() {
     const previewContainer = document.getElementById('preview-container');
     const actionsContainer = document.getElementById('upload-actions-container');
-    if (!previewContainer || !actionsContainer) return;
+    const source = getActiveSource();
+    if (!previewContainer || !actionsContainer || !source?.validatedRows) return;
 
     previewContainer.style.display = 'block';
 
-    const columns = Object.keys(uploaderState.processedData[0]).map(key => ({
-        key: key,
-        label: key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-    }));
+    const rows = source.validatedRows;
+    const invalidRows = rows.filter(hasRowErrors);
 
     previewContainer.innerHTML = `
-        ${SharedComponents.createDataTable({
-            data: uploaderState.processedData.slice(0, 100), // Preview first 100 rows
-            columns: columns,
-            title: 'Data Preview (First 100 Rows)',
-        })}
+        <div class="preview-toolbar">
+            <span class="preview-toolbar-label">
+                <strong>${escapeHtml(getSourceLabel(source))}</strong> · Column mapping:
+                <strong>${source.mappingProfile ? `Profile "${source.mappingProfile}"` : 'Auto-detected'}</strong>
+            </span>
+            <button type="button" id="edit-column-mapping" class="btn btn-secondary btn-sm">🧭 Edit Column Mapping</button>
+        </div>
+        <div class="preview-stats">
+            <div class="preview-stat">
+                <div class="preview-stat-value">${formatNumber(rows.length, 0)}</div>
+                <div class="preview-stat-label">Rows in File</div>
+            </div>
+            <div class="preview-stat">
+                <div class="preview-stat-value">${formatNumber(rows.length - invalidRows.length, 0)}</div>
+                <div class="preview-stat-label">Valid Rows</div>
+            </div>
+            <div class="preview-stat">
+                <div class="preview-stat-value ${invalidRows.length ? 'text-error' : ''}">${formatNumber(invalidRows.length, 0)}</div>
+                <div class="preview-stat-label">Rows with Errors</div>
+            </div>
+        </div>
+        ${renderValidationSummary(invalidRows)}
+        <div id="anomaly-preview-container"></div>
+        <div id="preview-table-container"></div>
     `;
-    
+
+    if (invalidRows.length > 0) {
+        previewContainer.querySelectorAll('input[name="error-mode"]').forEach(input => {
+            input.addEventListener('change', () => {
+                uploaderState.errorMode = input.value;
+                refreshValidationState();
+                renderSourceList();
+                renderDataPreview();
+            });
+        });
+        document.getElementById('show-errors-only').addEventListener('change', (e) => {
+            uploaderState.showErrorsOnly = e.target.checked;
+            renderPreviewTable();
+        });
+    }
+
+    document.getElementById('edit-column-mapping').addEventListener('click', renderColumnMapping);
+
+    renderPreviewTable();
+    renderUploadActions();
+    checkAnomalies();
+}
+
+/**
+ * Renders the validation summary with error counts and the error-handling choice.
+ */
+function renderValidationSummary(invalidRows) {
+    if (invalidRows.length === 0) {
+        return `
+            <div class="validation-feedback validation-passed">
+                <ul class="validation-list">
+                    <li class="validation-item success">✅ All rows passed validation.</li>
+                </ul>
+            </div>
+        `;
+    }
+
+    // Count errors per column so the user sees which problems dominate
+    const errorCounts = {};
+    invalidRows.forEach(row => {
+        Object.entries(row.errors).forEach(([column, message]) => {
+            const key = `${column}: ${message.replace(/ ".*"$/, '').replace(/row \d+/, 'another row')}`;
+            errorCounts[key] = (errorCounts[key] || 0) + 1;
+        });
+    });
+
+    return `
+        <div class="validation-feedback">
+            <h3 class="validation-title">⚠️ ${formatNumber(invalidRows.length, 0)} rows need attention</h3>
+            <ul class="validation-list">
+                ${Object.entries(errorCounts).map(([message, count]) => `
+                    <li class="validation-item error">✖ ${escapeHtml(message)} <span class="validation-count">(${formatNumber(count, 0)})</span></li>
+                `).join('')}
+            </ul>
+            <div class="error-mode-options" role="radiogroup" aria-label="Error handling">
+                ${Object.entries(ERROR_MODES).map(([mode, config]) => `
+                    <label class="error-mode-option ${uploaderState.errorMode === mode ? 'active' : ''}">
+                        <input type="radio" name="error-mode" value="${mode}" ${uploaderState.errorMode === mode ? 'checked' : ''}>
+                        <span class="error-mode-label">${config.label}</span>
+                        <span class="error-mode-description">${config.description}</span>
+                    </label>
+                `).join('')}
+            </div>
+            <label class="error-filter-toggle">
+                <input type="checkbox" id="show-errors-only" ${uploaderState.showErrorsOnly ? 'checked' : ''}>
+                Show only rows with errors
+            </label>
+        </div>
+    `;
+}
+
+/**
+ * Compares the rows to upload with each report's previous as-of date for the same
+ * city. Anomalies are shown for review but do not block the upload.
+ */
+async function checkAnomalies() {
+    const requestId = ++anomalyRequestId;
+    const reports = [...groupRowsByReport(uploaderState.processedData).values()];
+    if (reports.length === 0) {
+        uploaderState.anomalyCheck = null;
+        renderAnomalyPreview();
+        return;
+    }
+
+    uploaderState.anomalyCheck = { status: 'loading' };
+    renderAnomalyPreview();
+
+    try {
+        const results = await Promise.all(reports.map(async report => {
+            const previous = await AnomalyDetection.loadPreviousReport(report.city, report.as_of_date);
+            return {
+                city: report.city,
+                asOfDate: report.as_of_date,
+                previousAsOfDate: previous ? previous.asOfDate : null,
+                anomalies: AnomalyDetection.detect(report.rows, previous ? previous.rows : [])
+            };
+        }));
+        if (requestId !== anomalyRequestId) return;
+        uploaderState.anomalyCheck = { status: 'done', results };
+    } catch (error) {
+        if (requestId !== anomalyRequestId) return;
+        console.error('Failed to check for anomalies:', error);
+        uploaderState.anomalyCheck = { status: 'error', message: error.message };
+    }
+    renderAnomalyPreview();
+}
+
+/**
+ * Renders the anomaly check results above the preview table.
+ */
+function renderAnomalyPreview() {
+    const container = document.getElementById('anomaly-preview-container');
+    if (!container) return;
+
+    const check = uploaderState.anomalyCheck;
+    if (!check) {
+        container.innerHTML = '';
+        return;
+    }
+    if (check.status === 'loading') {
+        container.innerHTML = `
+            <div class="validation-feedback">
+                <ul class="validation-list">
+                    <li class="validation-item"><span class="spinner-small"></span> Comparing with the previous reports...</li>
+                </ul>
+            </div>
+        `;
+        return;
+    }
+    if (check.status === 'error') {
+        container.innerHTML = `
+            <div class="validation-feedback">
+                <ul class="validation-list">
+                    <li class="validation-item warning">⚠️ Unable to check for anomalies: ${escapeHtml(check.message)}</li>
+                </ul>
+            </div>
+        `;
+        return;
+    }
+
+    const total = check.results.reduce((sum, result) => sum + result.anomalies.length, 0);
+    const metrics = AnomalyDetection.getMetrics();
+    const describeReport = (result) => `${result.city} · ${formatDate(result.asOfDate)} ${result.previousAsOfDate
+        ? `vs ${formatDate(result.previousAsOfDate)}`
+        : '(no earlier report, only occupancy and pickup limits checked)'}`;
+
+    if (total === 0) {
+        container.innerHTML = `
+            <div class="validation-feedback validation-passed">
+                <ul class="validation-list">
+                    ${check.results.map(result => `
+                        <li class="validation-item success">✅ No anomalies in ${describeReport(result)}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="validation-feedback">
+            <h3 class="validation-title">🚨 ${formatNumber(total, 0)} ${total === 1 ? 'anomaly' : 'anomalies'} compared with the previous reports</h3>
+            <p class="anomaly-note">Review them before uploading. Anomalies do not block the upload.</p>
+            ${check.results.map(result => `
+                <h4 class="anomaly-report-title">${describeReport(result)}</h4>
+                <ul class="validation-list">
+                    ${result.anomalies.length === 0 ? '<li class="validation-item success">✅ No anomalies</li>' : ''}
+                    ${result.anomalies.slice(0, ANOMALY_PREVIEW_LIMIT).map(a => `
+                        <li class="validation-item ${a.severity === 'critical' ? 'error' : 'warning'}">
+                            ${a.severity === 'critical' ? '✖' : '⚠'} ${formatDate(a.forecastDate)} · ${a.segment.replace(/_/g, ' ')} · ${metrics[a.metric].label}: ${a.message}
+                        </li>
+                    `).join('')}
+                    ${result.anomalies.length > ANOMALY_PREVIEW_LIMIT ? `
+                        <li class="validation-item"><span class="validation-count">and ${formatNumber(result.anomalies.length - ANOMALY_PREVIEW_LIMIT, 0)} more</span></li>
+                    ` : ''}
+                </ul>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Renders the preview table, highlighting cells that failed validation.
+ * In "fix" mode the problem cells become editable.
+ */
+function renderPreviewTable() {
+    const container = document.getElementById('preview-table-container');
+    if (!container) return;
+
+    const columns = [...AppConstants.VALIDATION.REQUIRED_COLUMNS, ...AppConstants.VALIDATION.OPTIONAL_COLUMNS];
+    const visibleRows = (getActiveSource()?.validatedRows || [])
+        .filter(row => !uploaderState.showErrorsOnly || hasRowErrors(row))
+        .slice(0, PREVIEW_ROW_LIMIT);
+    const isFixMode = uploaderState.errorMode === 'fix';
+    const isExcludeMode = uploaderState.errorMode === 'exclude';
+
+    const renderCell = (row, column) => {
+        const error = row.errors[column];
+        const rawValue = getRawValues(row)[column] ?? '';
+        if (!error) {
+            return `<td>${escapeHtml(row.values[column])}</td>`;
+        }
+        const content = isFixMode
+            ? `<input type="text" class="cell-input" data-row="${row.index}" data-column="${column}" value="${escapeHtml(rawValue)}" aria-label="${column} for row ${row.rowNumber}">`
+            : (rawValue === '' ? '<em>empty</em>' : escapeHtml(rawValue));
+        return `<td class="cell-error" title="${escapeHtml(error)}">${content}</td>`;
+    };
+
+    container.innerHTML = `
+        <div class="data-table-container">
+            <div class="table-header">
+                <h3 class="chart-title">Data Preview (First ${PREVIEW_ROW_LIMIT} ${uploaderState.showErrorsOnly ? 'Rows with Errors' : 'Rows'})</h3>
+            </div>
+            <div class="table-scroll">
+                <table class="data-table preview-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            ${columns.map(c => `<th>${c.replace(/_/g, ' ')}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${visibleRows.map(row => `
+                            <tr class="${hasRowErrors(row) ? 'row-error' : ''} ${hasRowErrors(row) && isExcludeMode ? 'row-excluded' : ''}">
+                                <td class="row-number">${row.rowNumber}</td>
+                                ${columns.map(column => renderCell(row, column)).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+
+    if (isFixMode) {
+        container.querySelectorAll('.cell-input').forEach(input => {
+            input.addEventListener('change', () => handleCellEdit(Number(input.dataset.row), input.dataset.column, input.value));
+        });
+    }
+}
+
+/**
+ * Renders the sticky upload button, disabled while errors block the upload.
+ */
+function renderUploadActions() {
+    const actionsContainer = document.getElementById('upload-actions-container');
+    if (!actionsContainer) return;
+
+    if (uploaderState.uploadJob && !uploaderState.isUploading) {
+        renderPausedUpload();
+        return;
+    }
+
+    const rowCount = uploaderState.processedData.length;
+    const sourceCount = uploaderState.sources.filter(s => s.included).length;
+    const pendingMapping = uploaderState.sources.some(s => s.included && !s.validatedRows);
+    let label = `🚀 Finalize and Upload ${formatNumber(rowCount, 0)} Rows`;
+    if (sourceCount > 1) label += ` from ${sourceCount} Sheets`;
+    if (sourceCount === 0) {
+        label = '⛔ Include at least one sheet to upload';
+    } else if (pendingMapping) {
+        label = '🧭 Map the columns of every included sheet to upload';
+    } else if (!uploaderState.isValid) {
+        label = '⛔ Resolve validation errors to upload';
+    }
+
     // Render sticky upload button
     actionsContainer.innerHTML = `
         <div id="upload-actions" class="animate-fadeInUp">
-             <button id="upload-button" class="btn btn-success btn-lg">
-                <span class="btn-text">🚀 Finalize and Upload Data</span>
+             <button id="upload-button" class="btn btn-success btn-lg" ${uploaderState.isValid ? '' : 'disabled'}>
+                <span class="btn-text">${label}</span>
                 <span class="btn-loading" style="display:none;">
                     <span class="spinner-small"></span> Uploading...
                 </span>
@@ -123,6 +696,20 @@ function renderDataPreview() {
     document.getElementById('upload-button').addEventListener('click', handleUpload);
 }
 
+/**
+ * Applies an inline fix to a cell and re-validates the data.
+ */
+function handleCellEdit(rowIndex, column, value) {
+    const row = getActiveSource()?.validatedRows[rowIndex];
+    if (!row) return;
+
+    row.raw = { ...getRawValues(row), [column]: value.trim() };
+    Object.assign(row, UploadValidation.validateRow(row.raw));
+    refreshValidationState();
+    renderSourceList();
+    renderDataPreview();
+}
+
 // --- EVENT BINDING ---
 
 function bindEventListeners() {
@@ -141,67 +728,281 @@ function bindEventListeners() {
 
 // --- FILE HANDLING & PROCESSING ---
 
-function handleFileSelect(e) { handleFile(e.target.files[0]); }
-function handleFileDrop(e) { e.preventDefault(); handleFile(e.dataTransfer.files[0]); }
+function handleFileSelect(e) {
+    const files = [...e.target.files];
+    e.target.value = ''; // Allow selecting the same file again after removing it
+    handleFiles(files);
+}
 
-async function handleFile(file) {
-    if (!file) return;
+function handleFileDrop(e) {
+    e.preventDefault();
+    e.currentTarget.classList.remove('drag-over');
+    handleFiles([...e.dataTransfer.files]);
+}
 
-    try {
-        validateFileMetadata(file);
-        uploaderState.file = file;
-        showLoading('Processing file...');
-        
-        renderFilePreview(); // Show file info immediately
-
-        const data = await parseFile(file);
-        const validatedData = validateDataRows(data);
-        
-        uploaderState.processedData = validatedData;
-        uploaderState.isValid = true;
+/**
+ * Parses the selected files and adds every non-empty sheet to the job.
+ * Files that fail to parse are reported and skipped; the rest are kept.
+ */
+async function handleFiles(files) {
+    if (!files || files.length === 0) return;
 
-        renderDataPreview();
-        showAlert('File processed successfully. Review the preview below.', 'success');
-    } catch (error) {
-        showAlert(error.message, 'error', 8000);
-        console.error("File processing failed:", error);
-        resetUploaderState();
-    } finally {
-        hideLoading();
+    const added = [];
+    showLoading('Processing files...');
+
+    for (const file of files) {
+        try {
+            validateFileMetadata(file);
+            // CSV files are streamed; only their header and a sample are read up front
+            const sheets = isCsvFile(file)
+                ? [await runInWorker('inspect-csv', { file })]
+                : await runInWorker('parse', { file });
+            const nonEmpty = sheets.filter(sheet => sheet.rows.length > 0);
+            if (nonEmpty.length === 0) throw new Error('No data rows found in the file.');
+
+            for (const sheet of nonEmpty) {
+                const source = createSource(file, sheet, sheets.length > 1);
+                uploaderState.sources.push(source);
+                added.push(source);
+                if (source.isMappingCertain) await applyColumnMapping(source);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                showAlert('Processing cancelled. Files that were not read have been left out.', 'info');
+                break;
+            }
+            console.error(`File processing failed for ${file.name}:`, error);
+            showAlert(`${file.name}: ${error.message}`, 'error', 8000);
+        }
+    }
+
+    hideLoading();
+    if (added.length === 0) {
+        if (uploaderState.sources.length === 0) resetUploaderState();
+        return;
+    }
+
+    // Focus the first new sheet that needs attention
+    const needsReview = added.find(s => !s.validatedRows || s.validatedRows.some(hasRowErrors));
+    uploaderState.activeSourceId = (needsReview || added[0]).id;
+
+    refreshValidationState();
+    renderSourceList();
+    renderActiveSource();
+
+    const needsMapping = added.filter(s => !s.validatedRows).length;
+    const errorRows = added.reduce((sum, s) => sum + (s.validatedRows || []).filter(hasRowErrors).length, 0);
+    if (needsMapping > 0) {
+        showAlert(`${needsMapping} sheet${needsMapping > 1 ? 's have' : ' has'} headers that did not match the expected columns. Please review the column mapping.`, 'info', 8000);
+    } else if (errorRows > 0) {
+        showAlert(`${errorRows} rows have validation errors. Choose how to handle them below.`, 'warning', 8000);
+    } else {
+        showAlert(`${added.length} sheet${added.length > 1 ? 's' : ''} processed successfully. Review the preview below.`, 'success');
+    }
+}
+
+/**
+ * Creates an upload source for one sheet with a saved or suggested column mapping.
+ * Sources whose mapping is certain can be validated without the mapping step.
+ */
+function createSource(file, sheet, isMultiSheet) {
+    const profileName = ColumnMapping.findMatchingProfile(sheet.headers);
+    const suggestion = ColumnMapping.suggest(sheet.headers);
+
+    const source = {
+        id: `source-${++sourceCounter}`,
+        file,
+        fileName: file.name,
+        sheetName: isMultiSheet ? sheet.sheetName : null,
+        headers: sheet.headers,
+        rows: sheet.rows, // For CSV files, only a sample used by the mapping step
+        csv: sheet.csv || null, // Detected encoding, delimiter and decimal separator of a CSV file
+        included: true,
+        mappingProfile: profileName,
+        columnMapping: profileName
+            ? { ...suggestion.mapping, ...ColumnMapping.getProfile(profileName) }
+            : suggestion.mapping,
+        isMappingCertain: !!profileName || suggestion.exact,
+        validatedRows: null, // Set once the column mapping is applied
+    };
+
+    return source;
+}
+
+function findSource(id) {
+    return uploaderState.sources.find(s => s.id === id);
+}
+
+function getActiveSource() {
+    return findSource(uploaderState.activeSourceId);
+}
+
+function getSourceLabel(source) {
+    return source.sheetName ? `${source.fileName} › ${source.sheetName}` : source.fileName;
+}
+
+/**
+ * Describes the detected CSV format, e.g. "CSV · semicolon · UTF-8 · decimal comma".
+ */
+function describeCsvOptions({ delimiter, encoding, decimalComma }) {
+    const delimiters = { ',': 'comma', ';': 'semicolon', '\t': 'tab' };
+    const encodings = { 'utf-8': 'UTF-8', 'utf-16le': 'UTF-16', 'utf-16be': 'UTF-16', 'windows-1252': 'Latin-1' };
+    return ['CSV', delimiters[delimiter], encodings[encoding], decimalComma ? 'decimal comma' : null]
+        .filter(Boolean).join(' · ');
+}
+
+function isCsvFile(file) {
+    return file.name.toLowerCase().endsWith('.csv');
+}
+
+/**
+ * @returns {number|null} The number of data rows, or null for a CSV file that has not been read in full yet.
+ */
+function getSourceRowCount(source) {
+    if (!source.csv) return source.rows.length;
+    return source.validatedRows ? source.validatedRows.length : null;
+}
+
+/**
+ * Summarizes a source's state for the source list.
+ */
+function getSourceStatus(source) {
+    if (!source.validatedRows) return { key: 'mapping', icon: '🧭', label: 'Needs column mapping' };
+
+    const errorCount = source.validatedRows.filter(hasRowErrors).length;
+    if (errorCount > 0) return { key: 'errors', icon: '⚠️', label: `${formatNumber(errorCount, 0)} rows with errors` };
+    return { key: 'valid', icon: '✅', label: 'Valid' };
+}
+
+/**
+ * Applies a source's column mapping to its rows and validates them in the upload worker.
+ * @returns {Promise<void>} Rejects with an AbortError if the user cancels.
+ */
+async function applyColumnMapping(source) {
+    const missing = ColumnMapping.getMissingColumns(source.columnMapping);
+    if (missing.length > 0) {
+        showAlert(`Please map the required columns: ${missing.join(', ')}`, 'error');
+        return;
     }
+
+    if (source.mappingProfile) ColumnMapping.touchProfile(source.mappingProfile);
+
+    source.validatedRows = source.csv
+        ? expandCsvResults(await runInWorker('validate-csv', { file: source.file, options: source.csv, mapping: source.columnMapping }))
+        : await runInWorker('validate', {
+            sheet: { headers: source.headers, rows: source.rows },
+            mapping: source.columnMapping
+        });
+    refreshValidationState();
 }
 
-function parseFile(file) {
+/**
+ * Rebuilds one validation result per row, in file order, from the compact
+ * result of a streamed CSV (see validateCsv() in upload-worker.js). Valid rows
+ * come without their raw strings; getRawValues() derives them when needed.
+ */
+function expandCsvResults({ columns, valid, invalid }) {
+    const validRows = valid.map(([index, rowNumber, ...values]) => ({
+        index,
+        rowNumber,
+        raw: null,
+        values: Object.fromEntries(columns.map((column, i) => [column, values[i]])),
+        errors: {},
+    }));
+    return [...validRows, ...invalid].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * The strings a row was validated from, for editing a cell.
+ */
+function getRawValues(row) {
+    return row.raw || Object.fromEntries(Object.entries(row.values).map(([column, value]) => [column, value == null ? '' : String(value)]));
+}
+
+// --- BACKGROUND PROCESSING ---
+
+const WORKER_URL = 'assets/js/upload-worker.js';
+
+// The upload worker and its in-flight requests; the worker is recreated after a cancel
+const workerState = { worker: null, nextId: 0, pending: new Map() };
+
+function getWorker() {
+    if (workerState.worker) return workerState.worker;
+
+    const worker = new Worker(WORKER_URL);
+    worker.onmessage = ({ data }) => {
+        const request = workerState.pending.get(data.id);
+        if (!request) return;
+        if (data.type === 'progress') {
+            request.onProgress(data.message, data.progress);
+            return;
+        }
+        workerState.pending.delete(data.id);
+        if (workerState.pending.size === 0) hideProcessingProgress();
+        if (data.type === 'result') {
+            request.resolve(data.result);
+        } else {
+            request.reject(new Error(data.message));
+        }
+    };
+    worker.onerror = (e) => stopWorker(new Error(e.message || 'The file processor stopped unexpectedly.'));
+    workerState.worker = worker;
+    return worker;
+}
+
+/**
+ * Sends a request to the upload worker (see upload-worker.js), streaming its
+ * progress to the processing panel under the drop zone.
+ * @param {'parse'|'validate'} type - The request type.
+ * @param {object} payload - The request data.
+ * @returns {Promise<*>} The worker's result; rejects with an AbortError if cancelled.
+ */
+function runInWorker(type, payload) {
     return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = new Uint8Array(e.target.result);
-                const workbook = XLSX.read(data, { type: 'array', cellDates: true });
-                const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-                const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false });
-                
-                const header = jsonData[0].map(h => String(h || '').trim().toLowerCase().replace(/ /g, '_'));
-                const dataRows = jsonData.slice(1);
-
-                const mappedData = dataRows.map(row => {
-                    const rowData = {};
-                    header.forEach((h, i) => {
-                        rowData[h] = row[i];
-                    });
-                    return rowData;
-                });
-                
-                resolve(mappedData);
-            } catch (err) {
-                reject(new Error('Failed to parse file content. Ensure it is a valid Excel or CSV file.'));
-            }
-        };
-        reader.onerror = () => reject(new Error('There was an error reading the file.'));
-        reader.readAsArrayBuffer(file);
+        const id = ++workerState.nextId;
+        workerState.pending.set(id, { resolve, reject, onProgress: renderProcessingProgress });
+        getWorker().postMessage({ id, type, ...payload });
     });
 }
 
+function stopWorker(error) {
+    workerState.worker?.terminate();
+    workerState.worker = null;
+    workerState.pending.forEach(request => request.reject(error));
+    workerState.pending.clear();
+    hideProcessingProgress();
+}
+
+/**
+ * Cancels the parse or validation that is running, if any.
+ */
+function cancelProcessing() {
+    if (workerState.pending.size === 0) return;
+
+    const error = new Error('Processing cancelled.');
+    error.name = 'AbortError';
+    stopWorker(error);
+}
+
+/**
+ * Shows what the worker is doing, with a cancel button, while it is busy.
+ * @param {string} message
+ * @param {number} [progress] - Percent complete.
+ */
+function renderProcessingProgress(message, progress = 0) {
+    const panel = document.getElementById('processing-progress');
+    if (!panel) return;
+
+    panel.hidden = false;
+    panel.querySelector('.processing-message').textContent = message;
+    panel.querySelector('.upload-progress-bar').style.width = `${Math.min(100, Math.max(0, progress))}%`;
+}
+
+function hideProcessingProgress() {
+    const panel = document.getElementById('processing-progress');
+    if (panel) panel.hidden = true;
+}
+
 // --- DATA VALIDATION ---
 
 function validateFileMetadata(file) {
@@ -210,36 +1011,234 @@ function validateFileMetadata(file) {
     if (!['.xlsx', '.xls', '.csv'].includes(extension)) throw new Error(AppConstants.ERROR_MESSAGES.INVALID_FILE_FORMAT);
 }
 
-function validateDataRows(data) {
-    if (!data || data.length === 0) throw new Error('No data rows found in the file.');
-    
-    // Check for required columns in the first row
-    const firstRow = data[0];
-    for (const col of AppConstants.VALIDATION.REQUIRED_COLUMNS) {
-        if (!(col in firstRow)) {
-            throw new Error(`Data validation failed. Missing required column: '${col}'.`);
+/**
+ * Flags rows that repeat an earlier row's unique key (as_of_date, city,
+ * forecast_date, market_segment) within or across the given sources.
+ * Only the later occurrences are flagged.
+ */
+function markDuplicateKeys(sources) {
+    const seen = new Map();
+    sources.forEach(source => {
+        source.validatedRows.forEach(row => {
+            const keyValues = AppConstants.DATABASE.UNIQUE_KEY.map(col => row.values[col]);
+            if (keyValues.some(v => v === null || v === '')) return;
+
+            const key = keyValues.join('|');
+            const first = seen.get(key);
+            if (!first) {
+                seen.set(key, { source, rowNumber: row.rowNumber });
+            } else if (first.source === source) {
+                row.errors.forecast_date = `Duplicate of row ${first.rowNumber}`;
+            } else {
+                row.errors.forecast_date = `Duplicate of ${getSourceLabel(first.source)} row ${first.rowNumber}`;
+            }
+        });
+    });
+}
+
+function clearDuplicateErrors(rows) {
+    rows.forEach(row => {
+        if (row.errors.forecast_date?.startsWith('Duplicate')) delete row.errors.forecast_date;
+    });
+}
+
+function hasRowErrors(row) {
+    return Object.keys(row.errors).length > 0;
+}
+
+/**
+ * Recomputes the combined rows to upload from every included source and
+ * whether the upload is allowed, based on the validation results and the
+ * chosen error mode. Every included source must have its columns mapped.
+ */
+function refreshValidationState() {
+    const mapped = uploaderState.sources.filter(s => s.validatedRows);
+    mapped.forEach(s => clearDuplicateErrors(s.validatedRows));
+
+    const included = uploaderState.sources.filter(s => s.included);
+    const ready = included.length > 0 && included.every(s => s.validatedRows);
+    markDuplicateKeys(included.filter(s => s.validatedRows));
+
+    const rows = included.flatMap(s => s.validatedRows || []);
+    const validRows = rows.filter(row => !hasRowErrors(row));
+    const hasErrors = validRows.length < rows.length;
+
+    uploaderState.processedData = validRows.map(row => ({ ...row.values }));
+    uploaderState.isValid = ready && validRows.length > 0 && (!hasErrors || uploaderState.errorMode === 'exclude');
+}
+
+
+// --- DUPLICATE DETECTION ---
+
+const UPLOAD_MODES = {
+    skip: { label: 'Skip', icon: '⏭️', description: 'Only upload reports that are not in the database yet.' },
+    replace: { label: 'Replace', icon: '♻️', description: 'Delete the existing reports, then upload this file.' },
+    merge: { label: 'Merge', icon: '🔀', description: 'Update matching rows and add new ones, keeping everything else.' }
+};
+
+const reportKey = (row) => `${row.as_of_date}|${row.city}`;
+const rowKey = (row) => `${row.forecast_date}|${row.market_segment}`;
+
+/**
+ * Groups the processed rows by report (as_of_date + city).
+ * @returns {Map<string, {as_of_date: string, city: string, rows: object[]}>}
+ */
+function groupRowsByReport(rows) {
+    const reports = new Map();
+    rows.forEach(row => {
+        const key = reportKey(row);
+        if (!reports.has(key)) reports.set(key, { as_of_date: row.as_of_date, city: row.city, rows: [] });
+        reports.get(key).rows.push(row);
+    });
+    return reports;
+}
+
+/**
+ * Fetches the forecast_date/market_segment keys already stored for each report.
+ * @returns {Promise<Map<string, Set<string>>>} Existing row keys by report key; reports with no rows are omitted.
+ */
+async function fetchExistingReportKeys(reports) {
+    const existing = new Map();
+
+    for (const [key, report] of reports) {
+        const rows = await window.SupabaseConfig.fetchAllRows(client => client
+            .from(AppConstants.DATABASE.TABLE_NAME)
+            .select('forecast_date, market_segment')
+            .eq('as_of_date', report.as_of_date)
+            .eq('city', report.city));
+        if (rows.length > 0) existing.set(key, new Set(rows.map(rowKey)));
+    }
+
+    return existing;
+}
+
+/**
+ * Builds the upload plan for each mode: which rows to write and how many
+ * existing rows are affected.
+ */
+function buildUploadPlans(reports, existing) {
+    const plans = {
+        skip: { rows: [], inserted: 0, skipped: 0 },
+        replace: { rows: [], inserted: 0, deleted: 0 },
+        merge: { rows: [], inserted: 0, updated: 0 }
+    };
+
+    reports.forEach((report, key) => {
+        const existingKeys = existing.get(key);
+
+        plans.replace.rows.push(...report.rows);
+        plans.replace.inserted += report.rows.length;
+        plans.replace.deleted += existingKeys ? existingKeys.size : 0;
+
+        plans.merge.rows.push(...report.rows);
+        report.rows.forEach(row => {
+            if (existingKeys && existingKeys.has(rowKey(row))) {
+                plans.merge.updated++;
+            } else {
+                plans.merge.inserted++;
+            }
+        });
+
+        if (existingKeys) {
+            plans.skip.skipped += report.rows.length;
+        } else {
+            plans.skip.rows.push(...report.rows);
+            plans.skip.inserted += report.rows.length;
         }
+    });
+
+    return plans;
+}
+
+/**
+ * Describes the effect of an upload plan in one line.
+ */
+function describeUploadPlan(mode, plan) {
+    switch (mode) {
+        case 'skip':
+            return `${formatNumber(plan.inserted, 0)} rows uploaded · ${formatNumber(plan.skipped, 0)} rows skipped`;
+        case 'replace':
+            return `${formatNumber(plan.deleted, 0)} existing rows deleted · ${formatNumber(plan.inserted, 0)} rows uploaded`;
+        case 'merge':
+            return `${formatNumber(plan.updated, 0)} rows updated · ${formatNumber(plan.inserted, 0)} new rows added`;
+        default:
+            return '';
     }
+}
 
-    // Sanitize and type-cast each row
-    return data.map((row, index) => {
-        const asOfDate = formatDate(row.as_of_date, 'iso');
-        const forecastDate = formatDate(row.forecast_date, 'iso');
-        
-        if (!asOfDate || !forecastDate) return null; // Skip rows with invalid dates
-
-        return {
-            as_of_date: asOfDate,
-            city: String(row.city || 'N/A'),
-            forecast_date: forecastDate,
-            market_segment: String(row.market_segment || 'Other'),
-            current_occupancy: parseFloat(row.current_occupancy || 0),
-            stly_variance: parseFloat(row.stly_variance || 0),
-            weekly_pickup: parseInt(row.weekly_pickup || 0),
-        };
-    }).filter(row => row !== null); // Filter out any rows that were invalid
+/**
+ * Shows the duplicate-report dialog and waits for the user's choice.
+ * @returns {Promise<string|null>} The chosen mode, or null if cancelled.
+ */
+function promptDuplicateStrategy(reports, existing, plans) {
+    return new Promise(resolve => {
+        const duplicates = [...existing.keys()].map(key => ({ ...reports.get(key), existingCount: existing.get(key).size }));
+
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = `
+            <div id="duplicateModal" class="modal-overlay">
+                <div class="modal-content modal-wide animate-scaleIn">
+                    <div class="modal-header">
+                        <h2>Report Already Uploaded</h2>
+                        <button class="modal-close" data-mode="">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <p>${AppConstants.ERROR_MESSAGES.DATA_ALREADY_EXISTS}</p>
+                        <table class="data-table duplicate-table">
+                            <thead>
+                                <tr><th>City</th><th>As of Date</th><th>Rows in File</th><th>Rows in Database</th></tr>
+                            </thead>
+                            <tbody>
+                                ${duplicates.map(d => `
+                                    <tr>
+                                        <td>${d.city}</td>
+                                        <td>${formatDate(d.as_of_date)}</td>
+                                        <td>${formatNumber(d.rows.length, 0)}</td>
+                                        <td>${formatNumber(d.existingCount, 0)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                        <div class="upload-mode-options">
+                            ${Object.entries(UPLOAD_MODES).map(([mode, config]) => `
+                                <button type="button" class="upload-mode-option" data-mode="${mode}" ${mode === 'skip' && plans.skip.rows.length === 0 ? 'disabled' : ''}>
+                                    <span class="upload-mode-title">${config.icon} ${config.label}</span>
+                                    <span class="upload-mode-description">${config.description}</span>
+                                    <span class="upload-mode-summary">${describeUploadPlan(mode, plans[mode])}</span>
+                                </button>
+                            `).join('')}
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" data-mode="">Cancel Upload</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-mode]');
+            if (!button && e.target !== modal) return;
+            modal.remove();
+            resolve(button ? button.dataset.mode || null : null);
+        });
+    });
 }
 
+/**
+ * Removes every existing row of the given reports.
+ */
+async function deleteReports(supabaseClient, reports) {
+    for (const report of reports) {
+        throwIfFailed(await supabaseClient
+            .from(AppConstants.DATABASE.TABLE_NAME)
+            .delete()
+            .eq('as_of_date', report.as_of_date)
+            .eq('city', report.city));
+    }
+}
 
 // --- DATA UPLOAD ---
 
@@ -255,49 +1254,489 @@ async function handleUpload() {
         return;
     }
 
-    const uploadBtn = document.getElementById('upload-button');
-    const btnText = uploadBtn.querySelector('.btn-text');
-    const btnLoading = uploadBtn.querySelector('.btn-loading');
-    
+    if (!hasPermission(await getCurrentUserRole(), 'UPLOAD')) {
+        showAlert('You do not have permission to upload data.', 'error');
+        return;
+    }
+
     try {
-        uploaderState.isUploading = true;
-        uploadBtn.disabled = true;
-        btnText.style.display = 'none';
-        btnLoading.style.display = 'inline-flex';
-        
-        showLoading('Uploading data to database...', 0);
-
-        // Batch upload process
-        for (let i = 0; i < uploaderState.processedData.length; i += AppConstants.DATABASE.BATCH_SIZE) {
-            const batch = uploaderState.processedData.slice(i, i + AppConstants.DATABASE.BATCH_SIZE);
-            const { error } = await supabaseClient.from(AppConstants.DATABASE.TABLE_NAME).insert(batch);
-            if (error) throw error;
-            
-            const progress = ((i + batch.length) / uploaderState.processedData.length) * 100;
-            updateLoadingProgress(progress);
+        setUploadButtonBusy(true);
+
+        // Check whether any (as_of_date, city) report in the file is already stored
+        showLoading('Checking for existing reports...');
+        const reports = groupRowsByReport(uploaderState.processedData);
+        const existing = await fetchExistingReportKeys(reports);
+        hideLoading();
+
+        let mode = 'insert';
+        let rowsToUpload = uploaderState.processedData;
+        if (existing.size > 0) {
+            const plans = buildUploadPlans(reports, existing);
+            mode = await promptDuplicateStrategy(reports, existing, plans);
+            if (!mode) {
+                showAlert('Upload cancelled. No data was changed.', 'info');
+                return;
+            }
+            rowsToUpload = plans[mode].rows;
         }
 
-        showAlert(AppConstants.SUCCESS_MESSAGES.FILE_UPLOADED, 'success', 10000);
-        resetUploaderState(true);
+        // Replace and merge overwrite stored rows, so keep a copy to restore on rollback
+        showLoading('Preparing upload...');
+        const affected = mode === 'replace' || mode === 'merge'
+            ? [...existing.keys()].map(key => reports.get(key))
+            : [];
+        const backup = await fetchReportRows(affected);
 
+        const batchId = crypto.randomUUID();
+        uploaderState.uploadJob = {
+            batchId,
+            mode,
+            reports: affected,
+            backup,
+            rows: rowsToUpload.map(row => ({ ...row, [AppConstants.DATABASE.BATCH_ID_COLUMN]: batchId })),
+            nextIndex: 0, // First row of the next batch to upload
+            hasDeleted: false,
+            sourceCount: uploaderState.sources.filter(s => s.included).length,
+            history: buildHistoryRecord(batchId, mode, rowsToUpload),
+        };
+        const isBackupSaved = savePendingUpload(uploaderState.uploadJob);
+        hideLoading();
+        if (backup.length > 0 && !isBackupSaved && !(await confirmUnsavedBackup(backup.length))) {
+            clearPendingUpload();
+            uploaderState.uploadJob = null;
+            showAlert('Upload cancelled. No data was changed.', 'info');
+            return;
+        }
+        holdUploadLock(batchId);
+
+        await runUploadJob(supabaseClient);
     } catch (error) {
         hideLoading(); // Hide loading overlay immediately on error
         console.error('Upload failed:', error);
         showAlert(`Upload failed: ${error.message}`, 'error');
     } finally {
+        setUploadButtonBusy(false);
+    }
+}
+
+/**
+ * Asks whether to go on with a replace or merge whose backup is too large to keep
+ * across a reload: if the page is closed mid-upload, the overwritten rows are lost.
+ * @param {number} rowCount - Stored rows the upload overwrites.
+ * @returns {Promise<boolean>} True if the user chose to continue.
+ */
+function confirmUnsavedBackup(rowCount) {
+    return new Promise(resolve => {
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = `
+            <div id="unsavedBackupModal" class="modal-overlay">
+                <div class="modal-content animate-scaleIn">
+                    <div class="modal-header">
+                        <h2>Continue Without a Saved Backup?</h2>
+                        <button class="modal-close" data-confirm="">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <p>
+                            This upload overwrites ${formatNumber(rowCount, 0)} stored rows. They are too many to keep in
+                            the browser, so if this page is closed or reloaded before the upload finishes, they cannot be restored.
+                        </p>
+                        <p>Keep this page open until the upload completes. A failed upload can still be rolled back from this page.</p>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" data-confirm="">Cancel Upload</button>
+                            <button type="button" class="btn btn-primary" data-confirm="yes">Continue</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-confirm]');
+            if (!button && e.target !== modal) return;
+            modal.remove();
+            resolve(!!button && button.dataset.confirm === 'yes');
+        });
+    });
+}
+
+function setUploadButtonBusy(isBusy) {
+    uploaderState.isUploading = isBusy;
+
+    const uploadBtn = document.getElementById('upload-button');
+    if (!uploadBtn) return;
+    uploadBtn.disabled = isBusy || !uploaderState.isValid;
+    uploadBtn.querySelector('.btn-text').style.display = isBusy ? 'none' : 'inline-flex';
+    uploadBtn.querySelector('.btn-loading').style.display = isBusy ? 'inline-flex' : 'none';
+}
+
+// --- RESUMABLE UPLOAD ---
+
+/**
+ * Uploads the current job's remaining batches. Each batch is retried with
+ * backoff; if a batch still fails the job is paused so it can be resumed
+ * from that batch or rolled back.
+ */
+async function runUploadJob(supabaseClient) {
+    const job = uploaderState.uploadJob;
+    const { BATCH_SIZE, TABLE_NAME, UNIQUE_KEY } = AppConstants.DATABASE;
+    const totalBatches = Math.ceil(job.rows.length / BATCH_SIZE);
+
+    try {
+        setUploadButtonBusy(true);
+        showLoading(job.sourceCount > 1
+            ? `Uploading ${formatNumber(job.rows.length, 0)} rows from ${job.sourceCount} sheets...`
+            : 'Uploading data to database...', (job.nextIndex / job.rows.length) * 100);
+
+        if (job.mode === 'replace' && !job.hasDeleted) {
+            await withRetry(() => deleteReports(supabaseClient, job.reports));
+            job.hasDeleted = true;
+            savePendingProgress(job);
+        }
+
+        while (job.nextIndex < job.rows.length) {
+            const batch = job.rows.slice(job.nextIndex, job.nextIndex + BATCH_SIZE);
+            await withRetry(async () => {
+                const table = supabaseClient.from(TABLE_NAME);
+                // A recovered job may have written this batch before its progress was saved
+                throwIfFailed(job.mode === 'merge' || job.isRecovered
+                    ? await table.upsert(batch, { onConflict: UNIQUE_KEY.join(',') })
+                    : await table.insert(batch));
+            });
+
+            job.nextIndex += batch.length;
+            savePendingProgress(job);
+            updateLoadingProgress((job.nextIndex / job.rows.length) * 100);
+        }
+
+        await recordUploadHistory(supabaseClient, job.history);
+        clearPendingUpload();
+        uploaderState.uploadJob = null;
         uploaderState.isUploading = false;
-        uploadBtn.disabled = false;
-        btnText.style.display = 'inline-flex';
-        btnLoading.style.display = 'none';
+        showAlert(AppConstants.SUCCESS_MESSAGES.FILE_UPLOADED, 'success', 10000);
+        window.NotificationCenter.check([...new Set(job.rows.map(row => row.city))]);
+        resetUploaderState(true);
+    } catch (error) {
+        hideLoading();
+        console.error('Upload paused:', error);
+        job.lastError = error.message;
+        const completed = Math.floor(job.nextIndex / BATCH_SIZE);
+        showAlert(`Upload paused after ${completed} of ${totalBatches} batches: ${error.message}`, 'error', 0);
+        uploaderState.isUploading = false;
+        renderUploadActions();
+    }
+}
+
+/**
+ * Throws the error of a Supabase response, tagged with its HTTP status so
+ * withRetry can tell failures worth retrying from ones that would fail again.
+ */
+function throwIfFailed({ error, status }) {
+    if (error) throw Object.assign(error, { status });
+}
+
+/**
+ * Network failures (no status) and server errors may succeed on a retry;
+ * anything else, e.g. a constraint violation or a denied request, will not.
+ */
+function isRetryableError(error) {
+    return !error.status || error.status >= 500;
+}
+
+/**
+ * Runs an operation, retrying network and server errors with exponential
+ * backoff until it succeeds or the next attempt would exceed
+ * AppConstants.DATABASE.TIMEOUT.
+ */
+async function withRetry(operation) {
+    const { TIMEOUT, RETRY_BASE_DELAY } = AppConstants.DATABASE;
+    const startedAt = Date.now();
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation();
+        } catch (error) {
+            const delay = RETRY_BASE_DELAY * 2 ** attempt;
+            if (!isRetryableError(error) || Date.now() - startedAt + delay > TIMEOUT) throw error;
+            console.warn(`Batch failed, retrying in ${delay}ms:`, error);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Replaces the upload button with resume and rollback actions for a paused job.
+ */
+function renderPausedUpload() {
+    const actionsContainer = document.getElementById('upload-actions-container');
+    const job = uploaderState.uploadJob;
+    if (!actionsContainer || !job) return;
+
+    const { BATCH_SIZE } = AppConstants.DATABASE;
+    // Without its rows (too large to keep across a reload) the job can only be rolled back
+    const canResume = Boolean(job.rows);
+    actionsContainer.innerHTML = `
+        <div id="upload-actions" class="upload-paused animate-fadeInUp">
+            <div class="upload-paused-info">
+                <strong>⏸️ ${canResume
+                    ? `Upload paused at batch ${Math.floor(job.nextIndex / BATCH_SIZE) + 1} of ${Math.ceil(job.rows.length / BATCH_SIZE)}`
+                    : 'Upload interrupted'}</strong>
+                <span>${escapeHtml(job.lastError || '')}</span>
+                ${canResume ? '' : '<span>The file was too large to keep across the reload, so this upload can only be rolled back.</span>'}
+            </div>
+            <button id="rollback-upload-button" class="btn btn-secondary">↩️ Roll Back</button>
+            ${canResume ? '<button id="resume-upload-button" class="btn btn-success">▶️ Resume Upload</button>' : ''}
+        </div>
+    `;
+    document.getElementById('resume-upload-button')?.addEventListener('click', () => {
+        runUploadJob(window.SupabaseConfig.getClient());
+    });
+    document.getElementById('rollback-upload-button').addEventListener('click', () => {
+        abandonUploadJob();
+    });
+}
+
+/**
+ * Abandons the paused job: removes its rows and restores any rows it replaced or merged over.
+ */
+async function abandonUploadJob() {
+    const job = uploaderState.uploadJob;
+    if (!job) return;
+
+    try {
+        showLoading('Rolling back upload...');
+        await rollbackUpload(window.SupabaseConfig.getClient(), job.batchId, job.backup || []);
+        clearPendingUpload();
+        uploaderState.uploadJob = null;
+        hideLoading();
+        showAlert(job.backup
+            ? AppConstants.SUCCESS_MESSAGES.UPLOAD_ROLLED_BACK
+            : 'Upload rolled back. Its rows were removed, but rows it replaced could not be restored.', 'success');
+        refreshValidationState();
+        renderUploadActions();
+    } catch (error) {
+        hideLoading();
+        console.error('Rollback failed:', error);
+        showAlert(`Rollback failed: ${error.message}`, 'error', 0);
+    }
+}
+
+/**
+ * Deletes every row tagged with the batch ID, then re-inserts the backed-up rows.
+ */
+async function rollbackUpload(supabaseClient, batchId, backup = []) {
+    const { TABLE_NAME, BATCH_ID_COLUMN, BATCH_SIZE, UNIQUE_KEY } = AppConstants.DATABASE;
+
+    await withRetry(async () => {
+        throwIfFailed(await supabaseClient.from(TABLE_NAME).delete().eq(BATCH_ID_COLUMN, batchId));
+    });
+
+    for (let i = 0; i < backup.length; i += BATCH_SIZE) {
+        const batch = backup.slice(i, i + BATCH_SIZE);
+        await withRetry(async () => {
+            throwIfFailed(await supabaseClient
+                .from(TABLE_NAME)
+                .upsert(batch, { onConflict: UNIQUE_KEY.join(',') }));
+        });
+    }
+}
+
+/**
+ * Fetches every stored row of the given reports so they can be restored on rollback.
+ */
+async function fetchReportRows(reports) {
+    const columns = [...AppConstants.VALIDATION.REQUIRED_COLUMNS, ...AppConstants.VALIDATION.OPTIONAL_COLUMNS,
+        AppConstants.DATABASE.BATCH_ID_COLUMN];
+    const rowsByReport = [];
+
+    for (const report of reports) {
+        rowsByReport.push(await window.SupabaseConfig.fetchAllRows(client => client
+            .from(AppConstants.DATABASE.TABLE_NAME)
+            .select(columns.join(', '))
+            .eq('as_of_date', report.as_of_date)
+            .eq('city', report.city)));
+    }
+
+    return rowsByReport.flat();
+}
+
+// Releases the Web Lock held by this tab while it owns an upload job
+let releaseUploadLock = null;
+
+const getUploadLockName = (batchId) => `forecast-upload-${batchId}`;
+
+/**
+ * Holds a Web Lock named after the job until it finishes or is rolled back, so
+ * other tabs can tell the upload is still running. The browser releases the
+ * lock if the tab is closed.
+ */
+function holdUploadLock(batchId) {
+    if (!navigator.locks) return;
+    navigator.locks.request(getUploadLockName(batchId), () => new Promise(resolve => {
+        releaseUploadLock = resolve;
+    }));
+}
+
+/**
+ * Whether another open tab still owns the upload. Without the Web Locks API
+ * this cannot be known, and the upload is treated as interrupted.
+ */
+async function isUploadRunningElsewhere(batchId) {
+    if (!navigator.locks) return false;
+    const { held } = await navigator.locks.query();
+    return held.some(lock => lock.name === getUploadLockName(batchId));
+}
+
+/**
+ * Remembers the running upload so it can be resumed or rolled back if the page
+ * is closed before it finishes. When the job is too large for storage its rows
+ * are dropped first, leaving only a rollback, and then its backup.
+ * @returns {boolean} Whether the backup was kept, i.e. a rollback after a reload restores the overwritten rows.
+ */
+function savePendingUpload(job) {
+    const { batchId, mode, reports, backup, rows, sourceCount, history } = job;
+    const pending = { batchId, startedAt: new Date().toISOString(), mode, reports, backup, rows, sourceCount, history };
+    const attempts = [pending, { ...pending, rows: null }, { ...pending, rows: null, backup: null }];
+    let isBackupSaved = false;
+
+    for (const attempt of attempts) {
+        try {
+            localStorage.setItem(AppConstants.STORAGE_KEYS.PENDING_UPLOAD, JSON.stringify(attempt));
+            isBackupSaved = attempt.backup !== null;
+            break;
+        } catch (error) {
+            console.warn('Upload too large to keep in full across reloads:', error);
+        }
+    }
+    savePendingProgress(job);
+    return isBackupSaved;
+}
+
+/**
+ * Records how far the upload got. Kept apart from the job so the rows are not
+ * rewritten after every batch.
+ */
+function savePendingProgress(job) {
+    localStorage.setItem(AppConstants.STORAGE_KEYS.PENDING_UPLOAD_PROGRESS,
+        JSON.stringify({ batchId: job.batchId, nextIndex: job.nextIndex, hasDeleted: job.hasDeleted }));
+}
+
+function clearPendingUpload() {
+    localStorage.removeItem(AppConstants.STORAGE_KEYS.PENDING_UPLOAD);
+    localStorage.removeItem(AppConstants.STORAGE_KEYS.PENDING_UPLOAD_PROGRESS);
+    if (releaseUploadLock) releaseUploadLock();
+    releaseUploadLock = null;
+}
+
+/**
+ * Restores an upload that was interrupted by closing or reloading the page as a
+ * paused job, so it can be resumed or rolled back. An upload still running in
+ * another tab is left alone.
+ */
+async function recoverInterruptedUpload() {
+    let pending = null;
+    let progress = null;
+    try {
+        pending = JSON.parse(localStorage.getItem(AppConstants.STORAGE_KEYS.PENDING_UPLOAD));
+        progress = JSON.parse(localStorage.getItem(AppConstants.STORAGE_KEYS.PENDING_UPLOAD_PROGRESS));
+    } catch (error) {
+        console.warn('Ignoring malformed pending upload:', error);
+    }
+    if (!pending?.batchId) return;
+
+    if (await isUploadRunningElsewhere(pending.batchId)) {
+        showAlert('An upload is still running in another tab. Wait for it to finish before uploading here.', 'info', 0);
+        return;
+    }
+
+    holdUploadLock(pending.batchId);
+    const hasProgress = progress?.batchId === pending.batchId;
+    uploaderState.uploadJob = {
+        ...pending,
+        nextIndex: hasProgress ? progress.nextIndex : 0,
+        hasDeleted: hasProgress ? progress.hasDeleted : false,
+        isRecovered: true,
+        lastError: AppConstants.ERROR_MESSAGES.UPLOAD_INTERRUPTED,
+    };
+    renderUploadActions();
+    showAlert(`${AppConstants.ERROR_MESSAGES.UPLOAD_INTERRUPTED} Resume it or roll it back.`, 'warning', 0);
+}
+
+// --- UPLOAD HISTORY ---
+
+// Longest list of validation warnings kept with an upload
+const MAX_HISTORY_WARNINGS = 50;
+
+/**
+ * Describes an upload for the upload history page: files, coverage and the
+ * validation warnings for rows that were left out.
+ */
+function buildHistoryRecord(batchId, mode, rows) {
+    const included = uploaderState.sources.filter(s => s.included);
+    const warnings = [];
+
+    included.forEach(source => {
+        source.validatedRows.filter(hasRowErrors).forEach(row => {
+            Object.entries(row.errors).forEach(([column, message]) => {
+                warnings.push(`${getSourceLabel(source)} row ${row.rowNumber}, ${column}: ${message} (excluded)`);
+            });
+        });
+    });
+
+    const skipped = uploaderState.processedData.length - rows.length;
+    if (skipped > 0) warnings.unshift(`${formatNumber(skipped, 0)} rows skipped because their report was already uploaded`);
+
+    return {
+        id: batchId,
+        file_names: [...new Set(included.map(s => s.fileName))],
+        row_count: rows.length,
+        cities: [...new Set(rows.map(r => r.city))].sort(),
+        as_of_dates: [...new Set(rows.map(r => r.as_of_date))].sort(),
+        upload_mode: mode,
+        warning_count: warnings.length,
+        warnings: warnings.slice(0, MAX_HISTORY_WARNINGS),
+    };
+}
+
+/**
+ * Saves the history record of a finished upload. The upload itself has
+ * already succeeded, so a failure here is reported but not rethrown.
+ */
+async function recordUploadHistory(supabaseClient, record) {
+    try {
+        const { data: { user } } = await supabaseClient.auth.getUser();
+        await withRetry(async () => {
+            throwIfFailed(await supabaseClient
+                .from(AppConstants.DATABASE.UPLOADS_TABLE_NAME)
+                .insert({
+                    ...record,
+                    uploaded_by: user?.id || null,
+                    uploaded_by_email: user?.email || null,
+                    uploaded_at: new Date().toISOString(),
+                }));
+        });
+    } catch (error) {
+        console.error('Failed to record upload history:', error);
+        showAlert(`The data was uploaded, but it could not be added to the upload history: ${error.message}`, 'warning', 0);
     }
 }
 
 // --- UTILITY & STATE RESET ---
 
 function resetUploaderState(isSuccess = false) {
-    uploaderState.file = null;
+    if (uploaderState.uploadJob) {
+        showAlert('Resume or roll back the paused upload first.', 'warning');
+        return;
+    }
+
+    uploaderState.sources = [];
+    uploaderState.activeSourceId = null;
     uploaderState.processedData = [];
+    uploaderState.errorMode = 'block';
+    uploaderState.showErrorsOnly = false;
     uploaderState.isValid = false;
+    uploaderState.anomalyCheck = null;
 
     if (isSuccess) {
         const container = document.getElementById('uploader-component-container');
@@ -307,7 +1746,8 @@ function resetUploaderState(isSuccess = false) {
                 <h2 class="empty-title">Upload Successful!</h2>
                 <p class="empty-message">Your data has been successfully imported and is now available on the dashboard.</p>
                 <div class="empty-actions">
-                    <button class="btn btn-secondary" onclick="resetUploaderState()">Upload Another File</button>
+                    <button class="btn btn-secondary" onclick="resetUploaderState()">Upload More Files</button>
+                    <a href="${AppConstants.ROUTES.HISTORY}" class="btn btn-secondary">View Upload History</a>
                     <a href="${AppConstants.ROUTES.DASHBOARD}" class="btn btn-primary">Go to Dashboard</a>
                 </div>
             </div>
@@ -8,16 +8,36 @@ window.AppConstants = {
     // --- DATABASE & STORAGE ---
     DATABASE: {
         TABLE_NAME: 'occupancy_forecasts',
+        SEASON_TABLE_NAME: 'season_calendar',
+        PROFILES_TABLE_NAME: 'profiles',
+        UPLOADS_TABLE_NAME: 'upload_history',
+        // Columns that uniquely identify a forecast row; used for duplicate checks and upserts
+        UNIQUE_KEY: ['as_of_date', 'city', 'forecast_date', 'market_segment'],
+        // Columns that uniquely identify a peak season; the season table needs a unique constraint on them
+        SEASON_UNIQUE_KEY: ['city', 'name'],
+        // Tags every uploaded row with the upload it came from, so partial uploads can be rolled back
+        BATCH_ID_COLUMN: 'upload_batch_id',
         BATCH_SIZE: 1000,
         MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
-        TIMEOUT: 30000 // 30 seconds
+        TIMEOUT: 30000, // 30 seconds
+        RETRY_BASE_DELAY: 1000, // First retry delay for a failed batch; doubles on each attempt
+        REALTIME_CHANNEL: 'occupancy-forecast-inserts',
+        // An upload inserts one row at a time; inserts this close together are announced as one batch
+        REALTIME_DEBOUNCE: 2000
     },
     STORAGE_KEYS: {
         SUPABASE_URL: 'forecast_app_supabase_url', // Using a more specific key
         SUPABASE_KEY: 'forecast_app_supabase_key',
         THEME: 'forecast_app_theme', // Added for theme persistence
         USER_PREFERENCES: 'forecast_app_user_preferences',
-        LAST_FILTERS: 'forecast_app_last_filters'
+        LAST_FILTERS: 'forecast_app_last_filters',
+        COLUMN_MAPPINGS: 'forecast_app_column_mappings',
+        PENDING_UPLOAD: 'forecast_app_pending_upload',
+        PENDING_UPLOAD_PROGRESS: 'forecast_app_pending_upload_progress',
+        ANOMALY_THRESHOLDS: 'forecast_app_anomaly_thresholds',
+        ALERT_RULES: 'forecast_app_alert_rules',
+        NOTIFICATIONS: 'forecast_app_notifications',
+        NOTIFIED_REPORTS: 'forecast_app_notified_reports'
     },
 
     // --- NAVIGATION ---
@@ -25,7 +45,25 @@ window.AppConstants = {
         DASHBOARD: './index.html',
         UPLOADER: './upload.html',
         LOGIN: './login.html', // Added login route
-        ADMIN: './admin.html'
+        ADMIN: './admin.html',
+        HISTORY: './history.html',
+        ACCURACY: './accuracy.html'
+    },
+
+    // --- ACCESS CONTROL ---
+    ROLES: {
+        ADMIN: 'admin',
+        UPLOADER: 'uploader',
+        VIEWER: 'viewer'
+    },
+    // Roles allowed to perform each action. The UI hides what a role cannot do;
+    // row-level security on the database remains the real enforcement.
+    PERMISSIONS: {
+        UPLOAD: ['admin', 'uploader'],
+        EDIT_SEASONS: ['admin', 'uploader'],
+        CONFIGURE: ['admin'],
+        MANAGE_USERS: ['admin'],
+        DELETE_UPLOADS: ['admin']
     },
 
     // --- BUSINESS LOGIC ---
@@ -41,8 +79,62 @@ window.AppConstants = {
         MEDIUM_TERM: { min: 31, max: 90, label: 'Medium Term (31-90 days)', color: '#8b5cf6' },
         LONG_TERM: { min: 91, max: Infinity, label: 'Long Term (90+ days)', color: '#f59e0b' }
     },
+    // Forecast accuracy compares each stay date's actual occupancy with the report issued
+    // LEAD_TIMES days before it. Reports arrive weekly, so the latest report issued
+    // between lead and lead + LEAD_WINDOW_DAYS - 1 days out stands in for that lead time.
+    ACCURACY: {
+        LEAD_TIMES: [7, 14, 30, 60],
+        LEAD_WINDOW_DAYS: 7
+    },
+    // The baseline forecast adds the average historical pickup for a stay date's days
+    // out (in PICKUP_BUCKET_DAYS buckets with at least MIN_SAMPLES samples) and blends in
+    // last year's actual (STLY_OFFSET_DAYS earlier, the same weekday) plus the STLY
+    // variance. The band is CONFIDENCE_Z standard deviations of that pickup, which
+    // covers about CONFIDENCE_LEVEL percent of outcomes.
+    BASELINE: {
+        PICKUP_BUCKET_DAYS: 7,
+        MIN_SAMPLES: 3,
+        CONFIDENCE_Z: 1.645,
+        CONFIDENCE_LEVEL: 90,
+        STLY_OFFSET_DAYS: 364
+    },
+    // Anomaly checks flag values in a report that pass their metric's threshold. The
+    // change metrics compare a row with the same stay date and segment in the city's
+    // previous report. A finding becomes critical at CRITICAL_MULTIPLIER times the threshold.
+    ANOMALY: {
+        CRITICAL_MULTIPLIER: 2,
+        METRICS: {
+            occupancy_over_max: { label: 'Occupancy over maximum', unit: '%', threshold: 100, severity: 'critical', description: 'Occupancy above this percentage' },
+            negative_pickup: { label: 'Large negative pickup', unit: 'rooms', threshold: 20, severity: 'warning', description: 'Weekly pickup below minus this many rooms' },
+            occupancy_jump: { label: 'Occupancy jump', unit: 'pts', threshold: 15, severity: 'warning', description: 'Occupancy change vs the previous report' },
+            stly_swing: { label: 'STLY swing', unit: 'pts', threshold: 10, severity: 'warning', description: 'STLY variance change vs the previous report' },
+            pickup_swing: { label: 'Pickup swing', unit: 'rooms', threshold: 40, severity: 'warning', description: 'Weekly pickup change vs the previous report' }
+        }
+    },
+    // User alert rules are checked against each city's latest report. Only the newest
+    // MAX_NOTIFICATIONS notifications are kept.
+    ALERT_RULES: {
+        METRICS: {
+            current_occupancy: { label: 'Occupancy', unit: '%' },
+            stly_variance: { label: 'STLY variance', unit: 'pts' },
+            weekly_pickup: { label: 'Weekly pickup', unit: 'rooms' }
+        },
+        MAX_NOTIFICATIONS: 100
+    },
     MARKET_SEGMENTS: ['Totals', 'Transient', 'Group_Sold', 'Unsold_Block', 'Other'],
     CITIES: ['Edmonton', 'Calgary', 'Vancouver', 'Toronto', 'Montreal'],
+    // Default peak-season calendar, used until a city's calendar is saved to the database.
+    // Ranges are recurring month-day spans (MM-DD) and may wrap around the year end.
+    PEAK_SEASONS: {
+        Edmonton: [{ name: 'Summer Festivals', start: '06-15', end: '08-31' }],
+        Calgary: [{ name: 'Stampede', start: '07-01', end: '07-20' }],
+        Vancouver: [{ name: 'Summer', start: '06-01', end: '09-15' }],
+        Toronto: [{ name: 'Summer', start: '06-01', end: '09-15' }],
+        Montreal: [
+            { name: 'Grand Prix', start: '06-01', end: '06-20' },
+            { name: 'Summer Festivals', start: '06-21', end: '08-31' }
+        ]
+    },
 
     // --- UI & THEME ---
     COLORS: {
@@ -62,6 +154,13 @@ window.AppConstants = {
         'Unsold_Block': '#f59e0b',
         'Other': '#8b5cf6'
     },
+    CITY_COLORS: {
+        'Edmonton': '#3b82f6',
+        'Calgary': '#ef4444',
+        'Vancouver': '#10b981',
+        'Toronto': '#8b5cf6',
+        'Montreal': '#f59e0b'
+    },
     CHART_DEFAULTS: {
         ANIMATION_DURATION: 750,
         RESPONSIVE: true,
@@ -79,7 +178,28 @@ window.AppConstants = {
         OCCUPANCY_MAX: 100,
         VARIANCE_MIN: -50,
         VARIANCE_MAX: 50,
-        REQUIRED_COLUMNS: ['as_of_date', 'city', 'forecast_date', 'market_segment', 'current_occupancy']
+        REQUIRED_COLUMNS: ['as_of_date', 'city', 'forecast_date', 'market_segment', 'current_occupancy'],
+        OPTIONAL_COLUMNS: ['stly_variance', 'weekly_pickup'],
+        // Common spreadsheet headers for each column, used to suggest a column mapping
+        COLUMN_ALIASES: {
+            as_of_date: ['as of', 'as of date', 'report date', 'snapshot date', 'business date', 'run date'],
+            city: ['city', 'market', 'location', 'property city'],
+            forecast_date: ['forecast date', 'stay date', 'arrival date', 'occupancy date', 'night', 'date'],
+            market_segment: ['market segment', 'segment', 'mkt segment', 'seg'],
+            current_occupancy: ['current occupancy', 'occupancy', 'occ', 'occ %', 'occupancy %', 'otb occ'],
+            stly_variance: ['stly variance', 'stly var', 'var stly', 'vs stly', 'stly'],
+            weekly_pickup: ['weekly pickup', 'pickup', 'wk pickup', 'weekly pu', 'pu', '7 day pickup']
+        },
+        // Shown in the uploader's data dictionary and downloadable template
+        COLUMN_DESCRIPTIONS: {
+            as_of_date: 'Date the forecast report was run',
+            city: 'City the forecast is for',
+            forecast_date: 'Stay date being forecast',
+            market_segment: 'Market segment of the row',
+            current_occupancy: 'On-the-books occupancy percentage for the stay date',
+            stly_variance: 'Occupancy difference in points versus the same time last year',
+            weekly_pickup: 'Rooms picked up over the last seven days'
+        }
     },
 
     // --- MESSAGES ---
@@ -89,13 +209,15 @@ window.AppConstants = {
         INVALID_FILE_FORMAT: 'Invalid file format. Please upload Excel (.xlsx) files only.',
         DATA_ALREADY_EXISTS: 'Data for this report already exists in the database.',
         NETWORK_ERROR: 'Network error. Please check your internet connection.',
-        VALIDATION_ERROR: 'Data validation failed. Please check your file format.'
+        VALIDATION_ERROR: 'Data validation failed. Please check your file format.',
+        UPLOAD_INTERRUPTED: 'A previous upload was interrupted before it finished.'
     },
     SUCCESS_MESSAGES: {
         CONNECTION_SUCCESS: 'Successfully connected to database!',
         FILE_UPLOADED: 'File uploaded successfully!',
         DATA_REFRESHED: 'Dashboard data refreshed!',
-        CONFIG_SAVED: 'Configuration saved successfully!'
+        CONFIG_SAVED: 'Configuration saved successfully!',
+        UPLOAD_ROLLED_BACK: 'Upload rolled back. The database is back to how it was before the upload.'
     },
 
     // Enhanced UI Configuration
@@ -155,6 +277,96 @@ window.getHorizonFromDaysOut = function(daysOut) {
     return AppConstants.FORECAST_HORIZONS.LONG_TERM;
 };
 
+/**
+ * Counts the days from the 'as of' date to a forecast date.
+ * @param {string|Date} forecastDate - The forecast date.
+ * @param {string|Date} asOfDate - The report's 'as of' date.
+ * @returns {number} Whole days out, negative for dates before the 'as of' date.
+ */
+window.getDaysOut = function(forecastDate, asOfDate) {
+    const toUtcDay = (value) => {
+        const [year, month, day] = window.formatDate(value, 'iso').split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUtcDay(forecastDate) - toUtcDay(asOfDate)) / 86400000);
+};
+
+/**
+ * Checks whether a role is allowed to perform an action.
+ * @param {string|null} role - The user's role.
+ * @param {string} permission - A key of AppConstants.PERMISSIONS.
+ * @returns {boolean} True if the role has the permission.
+ */
+window.hasPermission = function(role, permission) {
+    const allowedRoles = AppConstants.PERMISSIONS[permission] || [];
+    return !!role && allowedRoles.includes(role);
+};
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {*} value - The text to escape; null and undefined become ''.
+ * @returns {string} The escaped text.
+ */
+window.escapeHtml = function(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+};
+
+/**
+ * Quotes a CSV field when it contains a quote, comma or line break.
+ * @param {*} value - The field value; null and undefined become ''.
+ * @returns {string} The field as written to the file.
+ */
+window.escapeCsv = function(value) {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Saves a Blob as a file through a temporary download link.
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - The suggested file name.
+ */
+window.downloadBlob = function(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Downloads rows of values as a UTF-8 CSV file with CRLF line endings.
+ * @param {Array<Array>} rows - The header row followed by the data rows.
+ * @param {string} fileName - The suggested file name.
+ */
+window.downloadCsv = function(rows, fileName) {
+    const lines = rows.map(values => values.map(escapeCsv).join(','));
+    downloadBlob(new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv;charset=utf-8' }), fileName);
+};
+
+/**
+ * Returns the cached request for a key, starting it if there is none. A request
+ * that fails is dropped so the next call tries again.
+ * @param {Map<*, Promise>} cache - Requests by key.
+ * @param {*} key
+ * @param {function(): Promise} request - Starts the request.
+ * @returns {Promise}
+ */
+window.getCachedRequest = function(cache, key, request) {
+    if (!cache.has(key)) {
+        const promise = request();
+        promise.catch(() => {
+            if (cache.get(key) === promise) cache.delete(key);
+        });
+        cache.set(key, promise);
+    }
+    return cache.get(key);
+};
+
 /**
  * Formats a number with a specified number of decimal places.
  * @param {number|null|undefined} value - The number to format.
@@ -216,4 +428,44 @@ window.formatDate = function(dateString, format = 'short') {
     }
 };
 
+/**
+ * Formats a date as YYYY-MM-DD, the form dates are stored and compared in.
+ * @param {string|Date|null|undefined} date - The date to format.
+ * @returns {string} The ISO date, or 'N/A'.
+ */
+window.toIsoDate = function(date) {
+    return window.formatDate(date, 'iso');
+};
+
+/**
+ * Moves a date by whole calendar days, unaffected by daylight saving changes.
+ * @param {string|Date} date - The date to move.
+ * @param {number} days - Days to add; negative to go back.
+ * @returns {string} The resulting date as YYYY-MM-DD.
+ */
+window.addDays = function(date, days) {
+    const [year, month, day] = window.toIsoDate(date).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Formats a timestamp (e.g. an ISO string from the database) as a local date and time.
+ * @param {string|Date|null|undefined} timestamp - The timestamp to format.
+ * @returns {string} The formatted date and time, or 'Never'.
+ */
+window.formatDateTime = function(timestamp) {
+    if (!timestamp) return 'Never';
+
+    const date = timestamp instanceof Date ? timestamp : new Date(timestamp);
+    if (isNaN(date.getTime())) return 'N/A';
+
+    return date.toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+};
+
 console.log('✅ Application constants and utilities loaded.');
\ No newline at end of file
@@ -12,9 +12,37 @@ window.SupabaseConfig = (() => {
     let supabaseKey = localStorage.getItem(window.AppConstants.STORAGE_KEYS.SUPABASE_KEY) || '';
     let supabaseClient = null;
     let isConnected = false;
+    let recordedSignInUserId = null;
 
     // --- PRIVATE METHODS ---
 
+    /**
+     * Stores the sign-in time on the user's profile for the admin console.
+     * Failures are logged only, so they never block signing in.
+     */
+    async function recordSignIn(user) {
+        try {
+            const { error } = await supabaseClient
+                .from(window.AppConstants.DATABASE.PROFILES_TABLE_NAME)
+                .update({ last_sign_in_at: new Date().toISOString() })
+                .eq('id', user.id);
+            if (error) throw error;
+        } catch (error) {
+            console.warn('Failed to record sign-in time:', error.message);
+        }
+    }
+
+    /**
+     * Records every kind of sign-in (password, OAuth, magic link) once per page load.
+     * Supabase can repeat SIGNED_IN for the same session, e.g. when the tab regains focus.
+     */
+    function handleAuthStateChange(event, session) {
+        if (event !== 'SIGNED_IN' || !session || session.user.id === recordedSignInUserId) return;
+        recordedSignInUserId = session.user.id;
+        // Deferred: Supabase calls awaited inside the auth callback can deadlock the client
+        setTimeout(() => recordSignIn(session.user), 0);
+    }
+
     /**
      * Initializes the Supabase client if credentials are available.
      */
@@ -29,6 +57,7 @@ window.SupabaseConfig = (() => {
                         detectSessionInUrl: true
                     }
                 });
+                supabaseClient.auth.onAuthStateChange(handleAuthStateChange);
                 console.log('✅ Supabase client initialized.');
             } catch (error) {
                 console.error('❌ Failed to initialize Supabase client:', error);
@@ -63,6 +92,30 @@ window.SupabaseConfig = (() => {
             return supabaseClient;
         },
 
+        /**
+         * Runs a select page by page until every row is read, so results are not
+         * cut off by the API row limit. Pages ask for AppConstants.DATABASE.BATCH_SIZE rows;
+         * paging stops at the first empty page, since a server whose max-rows setting is
+         * lower returns short pages before the end.
+         * @param {function(object): object} buildQuery - Returns the filtered and ordered select
+         * for the given client. Called once per page, since a query can only run once.
+         * @returns {Promise<object[]>} Every matching row.
+         */
+        fetchAllRows: async (buildQuery) => {
+            const client = publicApi.getClient();
+            if (!client) throw new Error('Supabase client is not available.');
+
+            const pageSize = AppConstants.DATABASE.BATCH_SIZE;
+            const rows = [];
+            for (;;) {
+                const { data, error } = await buildQuery(client).range(rows.length, rows.length + pageSize - 1);
+                if (error) throw error;
+                if (!data || data.length === 0) break;
+                rows.push(...data);
+            }
+            return rows;
+        },
+
         /**
          * Checks if the Supabase URL and key have been set.
          * @returns {boolean} True if configured, false otherwise.
@@ -146,7 +199,7 @@ async function getUserRole() {
     // Then, query the 'profiles' table for that user's role.
     try {
         const { data, error, status } = await supabaseClient
-            .from('profiles')
+            .from(AppConstants.DATABASE.PROFILES_TABLE_NAME)
             .select('role')
             .eq('id', user.id)
             .single(); // .single() is efficient and expects one row.
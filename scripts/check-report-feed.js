@@ -0,0 +1,128 @@
+/**
+ * @file check-report-feed.js
+ * @description Checks the dashboard's live report updates without a browser or database:
+ * rows published through ReportFeed.createLocalSource() must add their as-of date to the
+ * filter panel and show the new-report banner, whose View Report button switches to the report
+ * and confirms the refresh.
+ *
+ * Usage: node scripts/check-report-feed.js
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPTS = ['config/constants.js', 'assets/js/report-feed.js', 'assets/js/script.js'];
+const CHANNEL = 'check-report-feed';
+
+// --- MINIMAL PAGE ---
+
+function createElement(id) {
+    return {
+        id,
+        value: '',
+        innerHTML: '',
+        disabled: false,
+        classList: { add() {}, remove() {}, toggle() {} },
+        addEventListener() {}
+    };
+}
+
+function createPage() {
+    const elements = new Map();
+    const document = {
+        getElementById: (id) => {
+            if (!elements.has(id)) elements.set(id, createElement(id));
+            return elements.get(id);
+        },
+        querySelectorAll: () => [],
+        addEventListener() {}
+    };
+
+    const context = {
+        console: { ...console, log() {} }, // Silence the "loaded" messages
+        document,
+        setTimeout,
+        clearTimeout,
+        // Node keeps the process alive while a BroadcastChannel is open
+        BroadcastChannel: class extends BroadcastChannel {
+            constructor(name) {
+                super(name);
+                this.unref();
+            }
+        },
+        localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+        alerts: [],
+        showAlert(message, type) { context.alerts.push([message, type]); },
+        ReportHistory: { invalidate() {} },
+        NotificationCenter: { check() {} },
+        EnhancedDashboardComponents: { getSegmentLabel: (segment) => segment.replace(/_/g, ' ') }
+    };
+    context.window = context;
+    vm.createContext(context);
+    SCRIPTS.forEach(file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file }));
+    return context;
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- CHECK ---
+
+async function main() {
+    const page = createPage();
+    const run = (code) => vm.runInContext(code, page);
+    page.AppConstants.DATABASE.REALTIME_DEBOUNCE = 10;
+
+    // Stands in for loading the selected report from the database
+    const switches = [];
+    page.handleFilterChange = async () => {
+        const city = page.document.getElementById('filter_city').value;
+        const asOfDate = page.document.getElementById('filter_primary_as_of_date').value;
+        switches.push([city, asOfDate]);
+        run(`primaryReportData = [{ city: '${city}', as_of_date: '${asOfDate}', forecast_date: '${asOfDate}', market_segment: 'Totals' }]`);
+    };
+
+    // The dashboard as loaded: one Calgary report
+    run(`
+        reportFilters = { cities: ['Calgary'], dates: ['2026-10-01'] };
+        renderFilterPanel(reportFilters.cities, reportFilters.dates);
+        document.getElementById('filter_city').value = 'Calgary';
+        document.getElementById('filter_primary_as_of_date').value = '2026-10-01';
+        ReportFeed.setSource(ReportFeed.createLocalSource('${CHANNEL}'));
+        subscribeToNewReports();
+    `);
+    const panel = page.document.getElementById('filter-panel-container');
+    assert.ok(!panel.innerHTML.includes('new-report-banner'), 'No banner before a report is uploaded');
+
+    // Another tab uploads two reports
+    const otherTab = page.ReportFeed.createLocalSource(CHANNEL);
+    otherTab.publish([
+        { city: 'Calgary', as_of_date: '2026-10-18', forecast_date: '2026-10-19', market_segment: 'Totals' },
+        { city: 'Calgary', as_of_date: '2026-10-18', forecast_date: '2026-10-20', market_segment: 'Totals' },
+        { city: 'Edmonton', as_of_date: '2026-10-17', forecast_date: '2026-10-18', market_segment: 'Totals' }
+    ]);
+    await wait(100);
+
+    assert.deepEqual(Array.from(run('reportFilters.dates')), ['2026-10-18', '2026-10-17', '2026-10-01'], 'The as-of date list is refreshed');
+    assert.deepEqual(Array.from(run('reportFilters.cities')), ['Calgary', 'Edmonton'], 'The city list is refreshed');
+    assert.ok(panel.innerHTML.includes('<option value="2026-10-18">'), 'The new as-of date is offered in the filter panel');
+    assert.ok(panel.innerHTML.includes('new-report-banner'), 'The new-report banner is shown');
+    assert.match(panel.innerHTML, /New report: <strong>Calgary<\/strong>[^<]* and 1 more/, 'The banner offers the viewed city\'s report');
+    assert.equal(page.document.getElementById('filter_primary_as_of_date').value, '2026-10-01', 'The selected report is kept');
+    assert.equal(switches.length, 0, 'The dashboard does not switch on its own');
+
+    await run('viewNewReport()');
+    assert.deepEqual(switches, [['Calgary', '2026-10-18']], 'View Report switches to the new report');
+    assert.ok(!panel.innerHTML.includes('new-report-banner'), 'The banner closes after switching');
+    assert.deepEqual(page.alerts, [[page.AppConstants.SUCCESS_MESSAGES.DATA_REFRESHED, 'success']],
+        'The refresh is confirmed once the report is loaded');
+
+    console.log('✅ Report feed check passed.');
+}
+
+main().catch(error => {
+    console.error('❌ Report feed check failed:', error.message);
+    process.exitCode = 1;
+});